@@ -67,6 +67,10 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *    choose Edit. In the Note box, type a lighting notetag with the name
  *    of the preset to use map-wide. For example: <lighting: Fire>
  *    See the Map Notetag Examples section below for more info.
+ *    A lighting preset can follow the clock with a day-night curve of its
+ *    own: give it a Dawn, Dusk, or Night Tone, or Tone Keyframes. Its Tone
+ *    is then its daytime tone. This suits forests, swamps, beaches, and
+ *    other outdoor areas that should look different from open fields.
  * 6. Also, you can change which lighting preset applies to all maps that
  *    don't have their own lighting notetag. Change the plugin parameter
  *    Default Lighting Keyword to the name of the lighting preset you want.
@@ -85,11 +89,97 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *    conditions to include your game's Night Switch. For an event that only
  *    shows up in the daytime, make its event page conditions include the Day
  *    Switch.
+ *    For finer control, put a DayNight condition comment tag on the first
+ *    line of an event page. See the Event Comment Tag Examples section.
  * 10.To make an event change the time of day, have it use a plugin command
  *    such as Add Time or Set Time. For example, an inn might use Set Time to
  *    pass the night and make it morning. See the Plugin Command Examples
  *    section for more info.
  * 
+ * For lighting that changes smoothly instead of in steps, fill in the
+ * Tone Keyframes parameter with tones at times of day all around the clock.
+ * The outdoor tone will blend gradually from each keyframe to the next,
+ * even across midnight. Bloodmoon can have its own keyframes, too.
+ * 
+ * Outdoor maps can show a picture overlay for each phase of the day, such
+ * as a starfield at night or light shafts at dawn. Fill in the Dawn, Day,
+ * Dusk, and Night Overlay parameters, found under Outdoor Lighting Keyword.
+ * Bloodmoon and other special nights may have their own overlays to use
+ * instead of the Night Overlay. As the phase changes, the old overlay
+ * fades out while the new one fades in. Set an overlay's Opacity Progress
+ * to have it fade in or out gradually over the course of its phase.
+ * 
+ * A lighting preset may hold more than one overlay: add them to its
+ * More Picture Overlays list. Any overlay may be animated. Scroll X and
+ * Scroll Y make it drift across the screen, like fog or clouds.
+ * Animation Frames cycle it through more pictures, like flickering
+ * firelight. Pulse Percent makes its opacity rise and fall. Each overlay
+ * has its own Blend Mode, too.
+ * 
+ * To make the length of days and nights change through the year,
+ * add seasons to the Seasons parameter. Each season lasts some number of
+ * days, and may have its own dawn, day, dusk, and night start times and
+ * tones. Any time or tone left blank is taken from the main parameters.
+ * Assign the Season Variable if your events need to check the season.
+ * 
+ * To have rain, storms, and snow come and go on their own outdoors:
+ * 1. Set the plugin parameter Enable Auto Weather to ON.
+ * 2. Fill in the Weather Table with the chance of each kind of weather,
+ *    and when it may happen. For example, 20% rain at night.
+ *    Maps may have their own weather notetags instead; see below.
+ * 3. Adjust the Rain, Storm, and Snow Tone Shift parameters to set how much
+ *    each kind of weather darkens outdoor lighting.
+ * Weather is rolled each in-game hour, and only on maps that use the
+ * Outdoor Lighting Keyword. The rolls follow the Weather Seed, so a loaded
+ * save sees the same weather as before.
+ * 
+ * A screen tone darkens everything evenly. For torches, campfires, and lit
+ * windows that shine through the dark, set Enable Dynamic Lights to ON.
+ * A darkness mask then covers the map as its lighting gets darker, so
+ * lights fade in at dusk on their own. Give events light with a light
+ * comment tag; see the Event Comment Tag Examples section. The player
+ * carries a lantern while the Lantern Switch is ON or while the party
+ * has any of the Lantern Items.
+ * 
+ * To run common events at certain times of day, such as a rooster's crow
+ * at 6:00 AM, add them to the Scheduled Events parameter, or use the
+ * Schedule plugin command. When time jumps past a scheduled time, such as
+ * with Add Time or Set Time, the common event still runs. Each schedule
+ * may run its common event once however many times were skipped,
+ * or once for each skipped occurrence.
+ * 
+ * Townsfolk can keep daily schedules, too. Put schedule comment tags in an
+ * event page's comments, one for each place the event goes during the day.
+ * When the player enters the map, the event is placed where its schedule
+ * says it should be. When a scheduled time comes while the player is on
+ * the map, the event walks to its next spot.
+ * See the Event Comment Tag Examples section below for more info.
+ * 
+ * The plugin also keeps a calendar of weekdays, months, and years.
+ * To make it your own, adjust the Weekday Names and Months parameters, and
+ * set the Starting Year, Month, Day of Month, and Weekday of a new game.
+ * Assign the Weekday, Day of Month, Month, and Year variables if your events
+ * need to check the date.
+ * 
+ * To show the time on screen, set the plugin parameter Show Clock Window
+ * to ON. The clock window shows the time, the day, and a dial with the sun
+ * or moon. Set its position, hour format, and day format in the parameters
+ * under it. To show it only at some points in your game, assign a Clock
+ * Visibility Switch. A smaller clock also appears in the main menu.
+ * 
+ * When playtesting, the debug screen (F9) has a Day-Night page at the
+ * bottom of its list. It shows the day, time, phase, moon phase, and
+ * lighting, and lets you move the time forward or up to a week back, skip
+ * to the next phase, force a Bloodmoon, and preview any lighting preset.
+ * The switches and variables this plugin keeps are shown grayed out, and
+ * can't be changed from the debug screen.
+ * 
+ * To carry the time of day into battles, set the Battle Tone Mode parameter.
+ * Map Lighting tints each battle with the map's current lighting.
+ * Battle Night Tone tints battles on outdoor maps at night with the
+ * Battle Night Tone. Maps can also swap in different battlebacks by time
+ * of day with battleback notetags; see the Map Notetag Examples section.
+ * 
  * Optionally, you can set up a cycle where some nights have different
  * lighting and a different switch active from most nights. We call this
  * Bloodmoon, but in your game you can tie any meaning to it you want:
@@ -100,10 +190,26 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *     you plan to have your game's events use.
  * 13. Set the plugin parameters Days in Moon Cycle and Nights Before First
  *     Bloodmoon to set how often unusual nights happen and when they start.
+ *     For Bloodmoons that can't be predicted exactly, set Bloodmoon Schedule
+ *     to random instead. Then each night from the Min to the Max Days
+ *     Between Bloodmoons has the Bloodmoon Chance of being the next one.
  * 14. Adjust the Bloodmoon dusk, night, and dawn tone phases to your liking.
  *     The default settings give these nights a dark red cast, but you can
  *     change this to whatever you like.
  * 
+ * For more than one kind of special night, such as a Full Moon every 8 days
+ * and an Eclipse every 30 days, add them to the Special Nights parameter.
+ * Each special night has its own name, cycle length, switches, variable,
+ * and tones. Any tones left blank are the usual tones. When two special
+ * nights fall on the same night, the tones of the one with the higher
+ * Priority are used. If Bloodmoon is enabled, it counts as a special night
+ * named Bloodmoon, with Priority 0. Wherever this help mentions bloodmoon
+ * in a notetag or condition, the name of any special night may be used.
+ * 
+ * Random schedules are rolled from the Bloodmoon Seed, which is kept in the
+ * save file, so a loaded save sees the same Bloodmoons as before. Plugin
+ * commands can force, postpone, or cancel the next one of any special night.
+ * 
  * ===========================================================================
  * Map Notetag Examples                                                   
  * ===========================================================================
@@ -115,6 +221,55 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *   Each step while on this map causes the in-universe time to advance by
  *   the given number of minutes (in this case, 15).
  *
+ * <DayNight region 3: step=20m>
+ *   On a map where steps pass time, each step onto region 3 passes
+ *   20 minutes instead of the map's usual minutes per step.
+ *   This notetag may also go in a tileset's note, for every map that uses
+ *   the tileset. A map's own region notetags come first.
+ *
+ * <DayNight terrain 2: step=30m>
+ *   Like the region notetag, for tiles with terrain tag 2. It may go in a
+ *   map's or a tileset's note. When a tile has both, its region is used.
+ *
+ * <DayNight airship: step=1m>
+ *   On a map where steps pass time, each step in the airship passes
+ *   1 minute. Boat and ship may be given the same way, in a map's or a
+ *   tileset's note. Otherwise, the vehicle's Minutes Per Step parameter is
+ *   used, if any. Vehicles don't use region or terrain costs.
+ *   While dashing, step costs are multiplied by the Dash Step Multiplier.
+ *
+ * <DayNight: realtime>
+ *   While the player is on this map, in-universe time advances in real time
+ *   at the rate given in the "Real-Time Rate" parameter.
+ *   Time stands still during messages, menus, and battles, and while the
+ *   "Time Paused Switch" is ON.
+ *
+ * <DayNight: realtime=1m/5s>
+ *   While on this map, in-universe time advances in real time at the given
+ *   rate (in this case, 1 minute for every 5 seconds of real time).
+ *
+ * <DayNight: realtime=off>
+ *   Time does not advance in real time on this map, even if the
+ *   "Real-Time Clock" parameter is ON.
+ *
+ * <DayNight: speed=50%>
+ *   Steps and the real-time clock pass time at half speed on this map.
+ *   This is on top of the "Time Speed Variable", so if that is 200,
+ *   time passes at normal speed here.
+ *
+ * <DayNight: frozen>
+ *   No time passes from steps or the real-time clock on this map.
+ *
+ * <DayNight: timezone=+6h>
+ *   This map is 6 hours ahead of the rest of the world. Its outdoor
+ *   lighting, lighting presets that follow the clock, and the Daytime and
+ *   Night switches all go by its local time. The days passed and other
+ *   time variables still count the same as everywhere else.
+ *   Time zones may be behind as well, such as: timezone=-3h 30m
+ *
+ * Several DayNight options may share one notetag, separated by commas,
+ * or be given in separate DayNight notetags.
+ *
  * <Lighting: outside>
  *   The screen tone while in this map will vary depending on the time of day.
  *
@@ -123,6 +278,147 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *   unless overridden by an event. For more map lighting options, see the
  *   "Simple Lighting Presets" parameter.
  * 
+ * <lighting: outside * 50%>
+ *   This map follows the outdoor lighting at half strength. Good for
+ *   an indoor room with windows.
+ * 
+ * <lighting: outside + (-20,-20,0,10)>
+ *   This map follows the outdoor lighting, shifted by the given
+ *   red, green, blue, and gray amounts.
+ * 
+ * <lighting: tone(-68,-68,0,68)>
+ *   This map uses the given screen tone, with no preset needed.
+ * 
+ * A lighting expression may add (+) or subtract (-) preset keywords and
+ * tones, and scale (*) the result by a percentage. It is worked out from
+ * left to right, and the final tone is kept within valid tone ranges.
+ * Lighting that uses the outdoor lighting or a time-varying preset
+ * keeps following the time of day.
+ * 
+ * <night battleback1: GrassMazeNight>
+ * <night battleback2: GrassMazeNight>
+ *   At night, battles on this map use these battleback images
+ *   in place of the usual ones. The times of day are dawn, day, dusk,
+ *   and night. During dawn and dusk, a map without dawn or dusk battlebacks
+ *   uses its day or night battlebacks, according to the Night Switch.
+ * 
+ * <bloodmoon battleback1: GrassMazeBlood>
+ *   On Bloodmoon nights, battles on this map use this battleback image.
+ * 
+ * <night encounter: 5, 6, 7>
+ *   At night, troops 5, 6, and 7 may be encountered on this map,
+ *   along with the map's usual encounters. Each has a weight of 10.
+ *   The times of day are the same as for battlebacks, above.
+ * 
+ * <bloodmoon encounter: 12 in regions 3, 4>
+ *   On Bloodmoon nights, troop 12 may be encountered in regions 3 and 4.
+ * 
+ * <encounter rate at night: 150%>
+ *   At night, encounters on this map happen 150% as often.
+ *   Any time of day, or bloodmoon, may be given. If several rates apply
+ *   at once, they are multiplied together.
+ * 
+ * <weather: rain 20% night>
+ *   When auto weather is enabled, each hour of the night there's a 20% chance
+ *   of rain on this map. A map with weather notetags uses them instead of
+ *   the Weather Table parameter. Give one notetag for each kind of weather.
+ *   Weather types are rain, storm, and snow. Times of day are dawn, day,
+ *   dusk, and night; give several or none. Any other word names a season.
+ * 
+ * <weather: snow 7 30% dusk night Winter>
+ *   During dusk and night in Winter, there's a 30% chance each hour of snow
+ *   at power 7 (1 to 9). When no power is given, it is 5.
+ * 
+ * <weather: none>
+ *   No auto weather happens on this map.
+ * 
+ * ===========================================================================
+ * Item Notetag Examples
+ * ===========================================================================
+ * These go in the Note box of an item, weapon, or armor.
+ * 
+ * <sold during: 5:00 AM-11:00 AM>
+ *   Shops only sell this item from 5:00 AM until 11:00 AM.
+ *   Any DayNight condition may be given, such as: <sold during: bloodmoon>
+ * 
+ * <shop price at night: 150%>
+ *   At night, shops sell this item for 150% of its usual price.
+ *   Any time of day, or bloodmoon, may be given. If several prices apply
+ *   at once, they are multiplied together.
+ * 
+ * ===========================================================================
+ * Trait Notetag Examples
+ * ===========================================================================
+ * These go in the Note box of an actor, class, weapon, armor, state,
+ * or enemy. They work like traits while the time is right.
+ * 
+ * <night param ATK: +20%>
+ *   At night, Attack is 20% higher.
+ *   Params are MHP, MMP, ATK, DEF, MAT, MDF, AGI, and LUK.
+ * 
+ * <day outdoors HRG: -5%>
+ *   In the daytime, on outdoor maps only, HP Regeneration goes down by 5%,
+ *   so the battler loses 5% of max HP each turn.
+ *   Ex-params (HIT, EVA, CRI, CEV, MEV, MRF, CNT, HRG, MRG, TRG) are added,
+ *   like their traits. Sp-params (TGR, GRD, REC, PHA, MCR, TCR, PDR, MDR,
+ *   FDR, EXR) are multiplied, like their traits.
+ * 
+ * <bloodmoon param MAT: +50%>
+ *   On Bloodmoon nights, Magic Attack is 50% higher.
+ *   The times are dawn, day, dusk, night, and bloodmoon.
+ * 
+ * ===========================================================================
+ * Event Comment Tag Examples
+ * ===========================================================================
+ * These go in a Comment command on the event page they apply to.
+ * 
+ * <schedule 08:00 x=12 y=7 dir=2>
+ *   At 8:00 AM, this event walks to map position (12, 7), then faces down.
+ *   Directions are 2 (down), 4 (left), 6 (right), and 8 (up).
+ *   Times may be given as 24-hour times or with AM or PM.
+ * 
+ * <schedule 10:00 PM x=3 y=4 hide>
+ *   At 10:00 PM, this event walks to (3, 4), then disappears until its
+ *   next scheduled time.
+ * 
+ * <schedule 22:00 hide>
+ *   At 10:00 PM, this event disappears where it stands.
+ * 
+ * <DayNight condition: 9:00 AM-5:00 PM>
+ *   This event page can only be active from 9:00 AM until 5:00 PM.
+ *   This tag must be in a Comment command at the top of the page's list.
+ *   The page's usual conditions must be met as well.
+ * 
+ * <DayNight condition: night, moonphase 0>
+ *   This event page can only be active at night when the moon phase is 0.
+ *   Separate conditions with commas; all of them must be met.
+ *   Conditions can be:
+ *   - a time range, such as 10:00 PM-2:00 AM
+ *   - day or night, according to the Daytime and Night switches
+ *   - dawn or dusk, during the dawn or dusk tone phases
+ *   - bloodmoon, or moonphase followed by a number
+ *   - the name of a special night, or its name, phase, and a number,
+ *     such as: Eclipse phase 3
+ *   - the name of a weekday or season
+ * 
+ * <shop hours: 8:00 AM-8:00 PM>
+ * <shop closed: Sorry, we're closed. Come back in the morning!>
+ *   These go in a Comment command just before a Shop Processing command.
+ *   The shop only opens from 8:00 AM until 8:00 PM. At other times,
+ *   the shop closed message shows instead. Any DayNight condition may be
+ *   given as the shop hours. Without a shop closed tag, the message is
+ *   the Shop Closed Message parameter.
+ * 
+ * <shop price at bloodmoon: 200%>
+ *   Also just before a Shop Processing command. On Bloodmoon nights,
+ *   everything in this shop sells for twice its usual price.
+ * 
+ * <light: radius=96 color=#ffcc66 flicker>
+ *   With Enable Dynamic Lights ON, this event page gives off light
+ *   96 pixels around, with a warm yellow color, flickering like a flame.
+ *   Each option may be left out. Without them, <light> gives a steady
+ *   white light 96 pixels around.
+ * 
  * ===========================================================================
  * Plugin Command Examples                                               
  * ===========================================================================
@@ -134,14 +430,66 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * Add Time 2h 30m
  *   Moves the time of day forward 2 hours and 30 minutes.
  *
+ * Add Time 2h 30m scaled
+ *   Moves the time forward 2 hours and 30 minutes at the current
+ *   time speed, or not at all while time is frozen.
+ *
+ * Push Time Speed 50%
+ *   Until the next Pop Time Speed, time passes at half speed, on top of
+ *   the map's speed and the "Time Speed Variable". 0% stops time.
+ *   Pushes may be nested, such as in a common event called by an event.
+ *
+ * Pop Time Speed
+ *   Goes back to the time speed from before the last Push Time Speed.
+ *
  * Reset Time
  *   Changes the time back to game start time on day 0.
  * 
+ * Schedule 6:00 AM 12
+ *   Runs common event 12 every day at 6:00 AM. If time jumps past 6:00 AM,
+ *   common event 12 runs once.
+ *
+ * Schedule 12:00 AM 20 every on Monday, Friday
+ *   Runs common event 20 at midnight on Mondays and Fridays.
+ *   "every" runs it once for each skipped midnight when time jumps ahead.
+ *   Days may be names from the Weekday Names parameter, or day numbers as
+ *   counted by the Days Passed Variable.
+ *
+ * Unschedule 12
+ *   Removes all schedules added by plugin command for common event 12.
+ * 
+ * Rest 1-8
+ *   Opens the rest screen, where the player may rest 1 to 8 hours,
+ *   until dawn, or until dusk. Choices outside this range can't be picked.
+ *   With no range given, the player may rest 1 to 24 hours.
+ *   The number of hours rested goes in the Rest Hours Variable,
+ *   or 0 if the player chose not to rest.
+ * 
+ * Shop Hours 8:00 AM-8:00 PM
+ * Shop Closed Sorry, we're closed. Come back in the morning!
+ *   Sets the shop hours and shop closed message for the next
+ *   Shop Processing command, like the comment tags of the same names.
+ * 
+ * Force Bloodmoon
+ *   Makes tonight a Bloodmoon. Following Bloodmoons count from tonight.
+ * 
+ * Postpone Bloodmoon 2
+ *   Puts off the next Bloodmoon by 2 days.
+ * 
+ * Cancel Bloodmoon Eclipse
+ *   Skips the next Eclipse. The one after it comes as scheduled.
+ *   Any of these Bloodmoon commands may end with the name of a special
+ *   night. With no name, Bloodmoon or the first special night is used.
+ * 
  * Set Lighting Dark
  *   Applies the lighting preset named Dark for the rest of the player's time
  *   on this map.
  *   You may use the keyword of any one lighting preset you wish to apply.
  * 
+ * Set Lighting outside * 50% 60
+ *   Fades over 60 frames to the outdoor lighting at half strength.
+ *   Any lighting expression from a lighting notetag may be used.
+ * 
  * Reset Lighting
  *   Resets the lighting conditions to the preset specified in the current
  *   map's notetag.
@@ -161,6 +509,34 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *     // Number of minutes since midnight of the starting day.
  * McKathlin.DayNightCycle.getMinutesOfDay();
  *     // Number of minutes since midnight of the current day.
+ * McKathlin.DayNightCycle.getWeekday();
+ *     // The day of the week: 1 (first in Weekday Names) and up.
+ * McKathlin.DayNightCycle.getWeekdayName();
+ *     // The name of the day of the week, such as "Tuesday".
+ * McKathlin.DayNightCycle.getDayOfMonth();
+ *     // The day of the current month: 1 and up.
+ * McKathlin.DayNightCycle.getMonth();
+ *     // The month of the year: 1 (first in Months) and up.
+ * McKathlin.DayNightCycle.getMonthName();
+ *     // The name of the current month, such as "Harvestmoon".
+ * McKathlin.DayNightCycle.getYear();
+ *     // The current year, counting from the Starting Year.
+ * McKathlin.DayNightCycle.getPhaseName();
+ *     // The part of the day: "dawn", "day", "dusk", or "night".
+ * McKathlin.DayNightCycle.getTimeSpeed();
+ *     // The percent of normal speed time passes at: 0 while frozen.
+ * McKathlin.DayNightCycle.getSeason();
+ *     // The current season: 1 (first in Seasons) and up.
+ *     // 0 if no seasons are configured.
+ * McKathlin.DayNightCycle.getSeasonName();
+ *     // The name of the current season, such as "Winter".
+ * McKathlin.DayNightCycle.getMoonPhase("Eclipse");
+ *     // Nights since the last Eclipse: 0 on the Eclipse and the day before.
+ *     // -1 before the first. With no name, the first special night is used.
+ * McKathlin.DayNightCycle.isBloodmoonNight("Eclipse");
+ *     // true during the night of an Eclipse.
+ * McKathlin.DayNightCycle.getOutsideTone("Eclipse");
+ *     // The outdoor tone now, as it would be with the Eclipse's tones.
  * 
  * ============================================================================
  * Visit Tyruswoo.com to ask for help, donate, or browse more of our plugins.
@@ -217,10 +593,131 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @text Time Span
  * @type struct<timespan>
  * 
+ * @arg scaled
+ * @text Scaled by Time Speed
+ * @type boolean
+ * @default false
+ * @desc If true, the time span is scaled by the current time speed,
+ * and no time passes while time is frozen.
+ * 
+ * @command pushTimeSpeed
+ * @text Push Time Speed
+ * @desc Run time at another speed until Pop Time Speed.
+ * 
+ * @arg speed
+ * @text Speed
+ * @type number
+ * @min 0
+ * @default 100
+ * @desc The percent of normal speed. 0 stops time.
+ * 
+ * @command popTimeSpeed
+ * @text Pop Time Speed
+ * @desc Go back to the time speed from before the last Push Time Speed.
+ * 
  * @command resetTime
  * @text Reset Time
  * @desc Reset time to the game's designated starting time.
  *
+ * @command schedule
+ * @text Schedule Common Event
+ * @desc Run a common event at a time of day.
+ *
+ * @arg time_of_day
+ * @text Time of Day
+ * @type struct<time>
+ *
+ * @arg common_event
+ * @text Common Event
+ * @type common_event
+ *
+ * @arg days
+ * @text Days
+ * @desc Weekday names or day numbers, separated by commas.
+ * Leave blank for every day.
+ *
+ * @arg catch_up
+ * @text Catch Up
+ * @type select
+ * @option Once
+ * @value once
+ * @option Every Occurrence
+ * @value each
+ * @default once
+ * @desc When time jumps past this schedule more than once,
+ * run the common event once, or once per occurrence.
+ *
+ * @command unschedule
+ * @text Unschedule Common Event
+ * @desc Remove schedules added by plugin command for a common event.
+ *
+ * @arg common_event
+ * @text Common Event
+ * @type common_event
+ *
+ * @command rest
+ * @text Rest
+ * @desc Open the rest screen, where the player chooses how long to rest.
+ *
+ * @arg min_hours
+ * @text Min Hours
+ * @type number
+ * @min 1
+ * @default 1
+ * @desc The fewest hours the player may rest.
+ *
+ * @arg max_hours
+ * @text Max Hours
+ * @type number
+ * @min 1
+ * @default 24
+ * @desc The most hours the player may rest.
+ *
+ * @command shopHours
+ * @text Shop Hours
+ * @desc Set the hours of the next Shop Processing command.
+ *
+ * @arg hours
+ * @text Hours
+ * @default 8:00 AM-8:00 PM
+ * @desc When the shop is open. Any DayNight condition may be given.
+ *
+ * @arg closed_message
+ * @text Closed Message
+ * @desc The message shown when the shop is closed.
+ * Leave blank to use the Shop Closed Message parameter.
+ *
+ * @command forceBloodmoon
+ * @text Force Bloodmoon
+ * @desc Make tonight a Bloodmoon or other special night.
+ *
+ * @arg name
+ * @text Special Night Name
+ * @desc Leave blank for Bloodmoon, or the first special night.
+ *
+ * @command postponeBloodmoon
+ * @text Postpone Bloodmoon
+ * @desc Put off the next Bloodmoon or other special night.
+ *
+ * @arg days
+ * @text Days
+ * @type number
+ * @min 1
+ * @default 1
+ *
+ * @arg name
+ * @text Special Night Name
+ * @desc Leave blank for Bloodmoon, or the first special night.
+ *
+ * @command cancelBloodmoon
+ * @text Cancel Bloodmoon
+ * @desc Skip the next Bloodmoon or other special night.
+ * The one after it is scheduled as usual.
+ *
+ * @arg name
+ * @text Special Night Name
+ * @desc Leave blank for Bloodmoon, or the first special night.
+ *
  * @command resetLighting
  * @text Reset Lighting
  * @desc Reset lighting to the lighting notetag in the map's note.
@@ -236,7 +733,8 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  *
  * @arg lightingKeyword
  * @text Lighting Keyword
- * @desc The keyword of the lighting preset, as defined in the plugin parameters.
+ * @desc The keyword of the lighting preset, as defined in the plugin parameters,
+ * or a lighting expression such as: outside * 50%
  *
  * @arg duration
  * @text Duration
@@ -265,6 +763,69 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @desc The variable stating the minute of the current hour, 0 to 59.
  * @parent Days Passed Variable
  * 
+ * @param Weekday Variable
+ * @type variable
+ * @desc The variable stating the day of the week,
+ * 1 (first of the Weekday Names) and up.
+ * @parent Days Passed Variable
+ * 
+ * @param Day of Month Variable
+ * @type variable
+ * @desc The variable stating the day of the current month, 1 and up.
+ * @parent Days Passed Variable
+ * 
+ * @param Month Variable
+ * @type variable
+ * @desc The variable stating the month of the year,
+ * 1 (first of the Months) and up.
+ * @parent Days Passed Variable
+ * 
+ * @param Year Variable
+ * @type variable
+ * @desc The variable stating the current year.
+ * @parent Days Passed Variable
+ * 
+ * @param Weekday Names
+ * @type text[]
+ * @default ["Sunday","Monday","Tuesday","Wednesday","Thursday","Friday","Saturday"]
+ * @desc The names of the days of the week, in order.
+ * 
+ * @param Months
+ * @type struct<month>[]
+ * @default ["{\"name\":\"January\",\"days\":\"31\"}","{\"name\":\"February\",\"days\":\"28\"}","{\"name\":\"March\",\"days\":\"31\"}","{\"name\":\"April\",\"days\":\"30\"}","{\"name\":\"May\",\"days\":\"31\"}","{\"name\":\"June\",\"days\":\"30\"}","{\"name\":\"July\",\"days\":\"31\"}","{\"name\":\"August\",\"days\":\"31\"}","{\"name\":\"September\",\"days\":\"30\"}","{\"name\":\"October\",\"days\":\"31\"}","{\"name\":\"November\",\"days\":\"30\"}","{\"name\":\"December\",\"days\":\"31\"}"]
+ * @desc The months of the year, in order, and how many days each has.
+ * @parent Weekday Names
+ * 
+ * @param Starting Year
+ * @type number
+ * @min -999999
+ * @default 1
+ * @desc The year in which a new game starts.
+ * @parent Weekday Names
+ * 
+ * @param Starting Month
+ * @type number
+ * @min 1
+ * @default 1
+ * @desc The month in which a new game starts.
+ * 1 = the first of the Months.
+ * @parent Weekday Names
+ * 
+ * @param Starting Day of Month
+ * @type number
+ * @min 1
+ * @default 1
+ * @desc The day of the month on which a new game starts.
+ * @parent Weekday Names
+ * 
+ * @param Starting Weekday
+ * @type number
+ * @min 1
+ * @default 1
+ * @desc The day of the week on which a new game starts.
+ * 1 = the first of the Weekday Names.
+ * @parent Weekday Names
+ * 
  * @param New Game Start Time
  * @type struct<time>
  * @default {"hour":"8","minutes":"0","ampm":"AM"}
@@ -301,6 +862,67 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @desc How many minutes pass per player step, in maps where
  * <DayNight step> is enabled.
  *
+ * @param Real-Time Clock
+ * @type boolean
+ * @default false
+ * @desc Turn ON to advance time in real time on all maps
+ * that have no step or realtime DayNight notetag.
+ * @parent Minutes Per Step
+ *
+ * @param Real-Time Rate
+ * @type text
+ * @default 1m/5s
+ * @desc In-game time passed per span of real time, in maps
+ * with real-time clock. 1m/5s = 1 minute every 5 seconds.
+ * @parent Real-Time Clock
+ *
+ * @param Time Paused Switch
+ * @type switch
+ * @desc While this switch is ON, the real-time clock
+ * stands still.
+ * @parent Real-Time Clock
+ *
+ * @param Dash Step Multiplier
+ * @type number
+ * @min 0
+ * @default 100
+ * @desc The percent of the usual minutes per step
+ * that pass for each step while dashing.
+ * @parent Minutes Per Step
+ *
+ * @param Boat Minutes Per Step
+ * @type number
+ * @min 0
+ * @desc Minutes per step in the boat, in maps where steps pass time.
+ * Leave blank to use the map's minutes per step.
+ * @parent Minutes Per Step
+ *
+ * @param Ship Minutes Per Step
+ * @type number
+ * @min 0
+ * @desc Minutes per step in the ship, in maps where steps pass time.
+ * Leave blank to use the map's minutes per step.
+ * @parent Minutes Per Step
+ *
+ * @param Airship Minutes Per Step
+ * @type number
+ * @min 0
+ * @desc Minutes per step in the airship, in maps where steps pass time.
+ * Leave blank to use the map's minutes per step.
+ * @parent Minutes Per Step
+ *
+ * @param Time Speed Variable
+ * @type variable
+ * @desc The percent of normal speed time passes at,
+ * from steps and the real-time clock. 0 means 100%.
+ * @parent Minutes Per Step
+ *
+ * @param Freeze Time Switch
+ * @type switch
+ * @desc While this switch is ON, no time passes
+ * from steps or the real-time clock.
+ * @parent Minutes Per Step
+ *
  * @param Minutes Per Tone Phase
  * @desc How many minutes pass from one dawn or dusk phase to the next.
  * @type number
@@ -337,16 +959,78 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @desc The screen tone to apply during night time.
  * @parent Dawn Tone Phases
  * 
+ * @param Tone Keyframes
+ * @type struct<toneKeyframe>[]
+ * @default []
+ * @desc Tones at times of day, blended smoothly in between.
+ * If any, these are used instead of the tone phases above.
+ * @parent Dawn Tone Phases
+ * 
+ * @param Tone Easing
+ * @type select
+ * @option Linear
+ * @value linear
+ * @option Ease In and Out
+ * @value easeInOut
+ * @default linear
+ * @desc How to blend from one tone keyframe to the next.
+ * @parent Tone Keyframes
+ * 
+ * @param Scheduled Events
+ * @type struct<scheduledEvent>[]
+ * @default []
+ * @desc Common events to run at certain times of day.
+ * 
+ * @param Seasons
+ * @type struct<season>[]
+ * @default []
+ * @desc Seasons with their own day and night times and tones.
+ * Leave empty to use the same times and tones all year.
+ * 
+ * @param Starting Season
+ * @type number
+ * @min 1
+ * @default 1
+ * @desc The season in which a new game starts, on its first day.
+ * 1 = the first of the Seasons.
+ * @parent Seasons
+ * 
+ * @param Season Variable
+ * @type variable
+ * @desc The variable stating the current season,
+ * 1 (first of the Seasons) and up.
+ * @parent Seasons
+ * 
  * @param Outdoor Lighting Keyword
  * @type text
  * @default Outside
  * @desc The keyword that calls for outdoor lighting
  * in notetags or plugin commands.
  * 
+ * @param Dawn Overlay
+ * @type struct<picture>
+ * @desc Show this picture (if any) on outdoor maps during dawn.
+ * @parent Outdoor Lighting Keyword
+ * 
+ * @param Day Overlay
+ * @type struct<picture>
+ * @desc Show this picture (if any) on outdoor maps during the day.
+ * @parent Outdoor Lighting Keyword
+ * 
+ * @param Dusk Overlay
+ * @type struct<picture>
+ * @desc Show this picture (if any) on outdoor maps during dusk.
+ * @parent Outdoor Lighting Keyword
+ * 
+ * @param Night Overlay
+ * @type struct<picture>
+ * @desc Show this picture (if any) on outdoor maps at night.
+ * @parent Outdoor Lighting Keyword
+ * 
  * @param Simple Lighting Presets
  * @type struct<lightingPreset>[]
  * @default ["{\"keyword\":\"Bright\",\"tone\":\"{\\\"red\\\":\\\"0\\\",\\\"green\\\":\\\"0\\\",\\\"blue\\\":\\\"0\\\",\\\"gray\\\":\\\"0\\\"}\"}","{\"keyword\":\"Fire\",\"tone\":\"{\\\"red\\\":\\\"0\\\",\\\"green\\\":\\\"-48\\\",\\\"blue\\\":\\\"-68\\\",\\\"gray\\\":\\\"68\\\"}\"}","{\"keyword\":\"Blue\",\"tone\":\"{\\\"red\\\":\\\"-68\\\",\\\"green\\\":\\\"-68\\\",\\\"blue\\\":\\\"0\\\",\\\"gray\\\":\\\"68\\\"}\"}","{\"keyword\":\"Dark\",\"tone\":\"{\\\"red\\\":\\\"-68\\\",\\\"green\\\":\\\"-68\\\",\\\"blue\\\":\\\"-68\\\",\\\"gray\\\":\\\"0\\\"}\"}","{\"keyword\":\"Sunset\",\"tone\":\"{\\\"red\\\":\\\"68\\\",\\\"green\\\":\\\"-34\\\",\\\"blue\\\":\\\"-34\\\",\\\"gray\\\":\\\"0\\\"}\"}","{\"keyword\":\"Sepia\",\"tone\":\"{\\\"red\\\":\\\"34\\\",\\\"green\\\":\\\"-34\\\",\\\"blue\\\":\\\"-68\\\",\\\"gray\\\":\\\"170\\\"}\"}","{\"keyword\":\"Gold\",\"tone\":\"{\\\"red\\\":\\\"34\\\",\\\"green\\\":\\\"0\\\",\\\"blue\\\":\\\"-90\\\",\\\"gray\\\":\\\"100\\\"}\"}","{\"keyword\":\"Green\",\"tone\":\"{\\\"red\\\":\\\"-34\\\",\\\"green\\\":\\\"0\\\",\\\"blue\\\":\\\"-68\\\",\\\"gray\\\":\\\"100\\\"}\"}","{\"keyword\":\"Gray\",\"tone\":\"{\\\"red\\\":\\\"0\\\",\\\"green\\\":\\\"0\\\",\\\"blue\\\":\\\"0\\\",\\\"gray\\\":\\\"255\\\"}\"}"]
- * @desc These single-tone lighting presets can be invoked by keyword
+ * @desc These lighting presets can be invoked by keyword
  * in notetags and plugin commands.
  * 
  * @param Overlay Starting Picture Number
@@ -364,70 +1048,354 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @desc The name of the type of lighting to apply on maps that don't
  * have a lighting notetag.
  *
- * @param Enable Bloodmoon
+ * @param Battle Tone Mode
+ * @type select
+ * @option Unchanged
+ * @value unchanged
+ * @option Map Lighting
+ * @value map
+ * @option Battle Night Tone
+ * @value night
+ * @default unchanged
+ * @desc How to tint the screen in battle. Unchanged leaves the screen tone
+ * as it is. Map Lighting uses the map's current lighting.
+ * 
+ * @param Battle Night Tone
+ * @type struct<tone>
+ * @default {"red":"-34","green":"-34","blue":"0","gray":"34"}
+ * @desc In Battle Night Tone mode, the tone for battles on outdoor maps
+ * at night. Other battles are not tinted.
+ * @parent Battle Tone Mode
+ *
+ * @param Show Clock Window
  * @type boolean
  * @default false
- * @desc Turn this parameter ON, and once every several nights
- * will be unusual, with distinct lighting and switch.
+ * @desc Turn ON to show a clock window on the map screen.
  * 
- * @param Bloodmoon Night Switch
- * @type switch
- * @default 
- * @desc This switch is ON during a Bloodmoon night,
- * and OFF otherwise. If blank, no switch is kept.
- * @parent Enable Bloodmoon
+ * @param Clock Window Position
+ * @type select
+ * @option Top Left
+ * @value topLeft
+ * @option Top Right
+ * @value topRight
+ * @option Bottom Left
+ * @value bottomLeft
+ * @option Bottom Right
+ * @value bottomRight
+ * @default topRight
+ * @desc The corner of the map screen where the clock window appears.
+ * @parent Show Clock Window
  * 
- * @param Bloodmoon Phase Switch
+ * @param Clock Visibility Switch
  * @type switch
- * @default
- * @desc This switch is ON during the day preceding a Bloodmoon
- * night, as well as the Bloodmoon night itself.
- * @parent Enable Bloodmoon
+ * @desc If assigned, the clock window only shows while this switch is ON.
+ * @parent Show Clock Window
  * 
- * @param Moon Phase Variable
+ * @param Clock Hour Format
+ * @type select
+ * @option 12-hour (7:05 PM)
+ * @value 12
+ * @option 24-hour (19:05)
+ * @value 24
+ * @default 12
+ * @desc How the clock window shows the time of day.
+ * @parent Show Clock Window
+ * 
+ * @param Clock Day Format
+ * @type text
+ * @default Day %1
+ * @desc %1 = day number, %2 = weekday name, %3 = day of month,
+ * %4 = month name, %5 = year
+ * @parent Show Clock Window
+ * 
+ * @param Hide Clock During Events
+ * @type boolean
+ * @default true
+ * @desc Turn ON to hide the clock window while an event is running.
+ * @parent Show Clock Window
+ * 
+ * @param Show Clock in Menu
+ * @type boolean
+ * @default true
+ * @desc Turn ON to also show a compact clock window in the main menu.
+ * @parent Show Clock Window
+ *
+ * @param Rest Hours Variable
  * @type variable
- * @default
- * @desc Where to store how many days since last Bloodmoon.
- * Variable is 0 on Bloodmoon night and its preceding day.
- * @parent Enable Bloodmoon
+ * @desc The variable stating how many hours the party last rested
+ * with the Rest plugin command. 0 if they chose not to rest.
  * 
- * @param Days in Moon Cycle
+ * @param Rest HP Recovery
  * @type number
- * @min 1
- * @default 6
- * @desc Number of days from one Bloodmoon to the next.
- * 2 = every other night, 3 = every 3rd night, etc.
- * @parent Enable Bloodmoon
+ * @min 0
+ * @max 100
+ * @default 0
+ * @desc The percent of max HP each living party member recovers
+ * for each hour rested.
+ * @parent Rest Hours Variable
  * 
- * @param Nights Before First Bloodmoon
+ * @param Rest MP Recovery
  * @type number
- * @default 5
- * @desc Number of normal nights before first-ever Bloodmoon night
- * @parent Enable Bloodmoon
+ * @min 0
+ * @max 100
+ * @default 0
+ * @desc The percent of max MP each living party member recovers
+ * for each hour rested.
+ * @parent Rest Hours Variable
  * 
- * @param Bloodmoon Dusk Tone Phases
- * @type struct<tone>[]
- * @default ["{\"red\":\"30\",\"green\":\"-20\",\"blue\":\"-20\",\"gray\":\"0\"}","{\"red\":\"60\",\"green\":\"-40\",\"blue\":\"-30\",\"gray\":\"10\"}","{\"red\":\"40\",\"green\":\"-80\",\"blue\":\"-70\",\"gray\":\"30\"}","{\"red\":\"10\",\"green\":\"-100\",\"blue\":\"-70\",\"gray\":\"60\"}"]
- * @desc Screen tones leading from day into Bloodmoon night
- * @parent Enable Bloodmoon
+ * @param Rest Until Dawn Text
+ * @type text
+ * @default Until Dawn
+ * @desc The rest screen's choice to rest until dawn.
+ * @parent Rest Hours Variable
  * 
- * @param Bloodmoon Night Tone
- * @type struct<tone>
- * @default {"red":"-10","green":"-110","blue":"-80","gray":"120"}
- * @desc Screen tone applied during Bloodmoon night
- * @parent Enable Bloodmoon
+ * @param Rest Until Dusk Text
+ * @type text
+ * @default Until Dusk
+ * @desc The rest screen's choice to rest until dusk.
+ * @parent Rest Hours Variable
  * 
- * @param Bloodmoon Dawn Tone Phases
- * @type struct<tone>[]
- * @default ["{\"red\":\"-15\",\"green\":\"-90\",\"blue\":\"-60\",\"gray\":\"60\"}","{\"red\":\"-15\",\"green\":\"-70\",\"blue\":\"-50\",\"gray\":\"30\"}","{\"red\":\"-15\",\"green\":\"-40\",\"blue\":\"-40\",\"gray\":\"10\"}","{\"red\":\"-15\",\"green\":\"-30\",\"blue\":\"-30\",\"gray\":\"0\"}"]
- * @desc Screen tones leading from Bloodmoon night into the next day
- * @parent Enable Bloodmoon
- */
-
-/*~struct~time:
- * @param hour
- * @text Hour
- * @type number
+ * @param Rest Hours Text
+ * @type text
+ * @default Rest %1 Hours
+ * @desc The rest screen's choice to rest some hours. %1 = hours
+ * Press left and right to change the hours.
+ * @parent Rest Hours Variable
+ * 
+ * @param Rest Wake Text
+ * @type text
+ * @default Wake at %1
+ * @desc The rest screen's help text. %1 = time of waking
+ * @parent Rest Hours Variable
+ *
+ * @param Shop Closed Message
+ * @type text
+ * @default Sorry, we're closed right now.
+ * @desc The message shown by a shop outside its shop hours,
+ * unless it has its own shop closed tag.
+ *
+ * @param Enable Auto Weather
+ * @type boolean
+ * @default false
+ * @desc Turn ON to roll weather every in-game hour on outdoor maps.
+ * 
+ * @param Weather Table
+ * @type struct<weatherChance>[]
+ * @default []
+ * @desc Chances of each kind of weather. Tried in order each hour;
+ * the first that succeeds is used. Map notetags override this.
+ * @parent Enable Auto Weather
+ * 
+ * @param Weather Seed
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc The seed for weather rolls. 0 = pick a different seed
+ * for each new game.
+ * @parent Enable Auto Weather
+ * 
+ * @param Weather Fade Duration
+ * @type number
+ * @min 0
+ * @default 120
+ * @desc Number of frames to spend changing from one weather
+ * to the next.
+ * @parent Enable Auto Weather
+ * 
+ * @param Rain Tone Shift
+ * @type struct<tone>
+ * @default {"red":"-34","green":"-34","blue":"-17","gray":"34"}
+ * @desc Change to the outdoor tone during rain at power 9.
+ * Lesser powers shift the tone less.
+ * @parent Enable Auto Weather
+ * 
+ * @param Storm Tone Shift
+ * @type struct<tone>
+ * @default {"red":"-68","green":"-68","blue":"-34","gray":"68"}
+ * @desc Change to the outdoor tone during storms at power 9.
+ * Lesser powers shift the tone less.
+ * @parent Enable Auto Weather
+ * 
+ * @param Snow Tone Shift
+ * @type struct<tone>
+ * @default {"red":"-17","green":"-17","blue":"0","gray":"34"}
+ * @desc Change to the outdoor tone during snow at power 9.
+ * Lesser powers shift the tone less.
+ * @parent Enable Auto Weather
+ * 
+ * @param Enable Dynamic Lights
+ * @type boolean
+ * @default false
+ * @desc Turn ON to darken maps with a mask as the lighting gets dark,
+ * with lights from events and the player shining through.
+ * 
+ * @param Darkness Mask Strength
+ * @type number
+ * @min 0
+ * @max 1000
+ * @default 200
+ * @desc Percent of the lighting's darkness the mask takes on.
+ * Higher is darker. The mask is clear when the lighting is bright.
+ * @parent Enable Dynamic Lights
+ * 
+ * @param Lantern Switch
+ * @type switch
+ * @default
+ * @desc While this switch is ON, the player gives light.
+ * If blank, no switch is checked.
+ * @parent Enable Dynamic Lights
+ * 
+ * @param Lantern Items
+ * @type item[]
+ * @default []
+ * @desc While the party has any of these items,
+ * the player gives light.
+ * @parent Enable Dynamic Lights
+ * 
+ * @param Lantern Radius
+ * @type number
+ * @min 1
+ * @default 144
+ * @desc How far the player's light reaches, in pixels.
+ * @parent Enable Dynamic Lights
+ * 
+ * @param Lantern Color
+ * @type text
+ * @default #ffcc66
+ * @desc The color of the player's light, such as #ffcc66.
+ * @parent Enable Dynamic Lights
+ * 
+ * @param Lantern Flicker
+ * @type boolean
+ * @default true
+ * @desc Turn ON to make the player's light flicker like a flame.
+ * @parent Enable Dynamic Lights
+ * 
+ * @param Enable Bloodmoon
+ * @type boolean
+ * @default false
+ * @desc Turn this parameter ON, and once every several nights
+ * will be unusual, with distinct lighting and switch.
+ * 
+ * @param Bloodmoon Night Switch
+ * @type switch
+ * @default 
+ * @desc This switch is ON during a Bloodmoon night,
+ * and OFF otherwise. If blank, no switch is kept.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Bloodmoon Phase Switch
+ * @type switch
+ * @default
+ * @desc This switch is ON during the day preceding a Bloodmoon
+ * night, as well as the Bloodmoon night itself.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Moon Phase Variable
+ * @type variable
+ * @default
+ * @desc Where to store how many days since last Bloodmoon.
+ * Variable is 0 on Bloodmoon night and its preceding day.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Days in Moon Cycle
+ * @type number
+ * @min 1
+ * @default 6
+ * @desc Number of days from one Bloodmoon to the next.
+ * 2 = every other night, 3 = every 3rd night, etc.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Nights Before First Bloodmoon
+ * @type number
+ * @default 5
+ * @desc Number of normal nights before first-ever Bloodmoon night
+ * @parent Enable Bloodmoon
+ * 
+ * @param Bloodmoon Schedule
+ * @type select
+ * @option fixed
+ * @option random
+ * @default fixed
+ * @desc fixed = every Days in Moon Cycle nights.
+ * random = rolled between the Min and Max Days Between Bloodmoons.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Min Days Between Bloodmoons
+ * @type number
+ * @min 1
+ * @default 4
+ * @desc With a random schedule, the fewest days
+ * from one Bloodmoon to the next.
+ * @parent Bloodmoon Schedule
+ * 
+ * @param Max Days Between Bloodmoons
+ * @type number
+ * @min 1
+ * @default 10
+ * @desc With a random schedule, the most days
+ * from one Bloodmoon to the next.
+ * @parent Bloodmoon Schedule
+ * 
+ * @param Bloodmoon Chance
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 25
+ * @desc With a random schedule, the percent chance of each night
+ * between the min and max days being a Bloodmoon.
+ * @parent Bloodmoon Schedule
+ * 
+ * @param Bloodmoon Seed
+ * @type number
+ * @min 0
+ * @default 0
+ * @desc The seed for random Bloodmoon and special night schedules.
+ * 0 = pick a different seed for each new game.
+ * @parent Bloodmoon Schedule
+ * 
+ * @param Bloodmoon Dusk Tone Phases
+ * @type struct<tone>[]
+ * @default ["{\"red\":\"30\",\"green\":\"-20\",\"blue\":\"-20\",\"gray\":\"0\"}","{\"red\":\"60\",\"green\":\"-40\",\"blue\":\"-30\",\"gray\":\"10\"}","{\"red\":\"40\",\"green\":\"-80\",\"blue\":\"-70\",\"gray\":\"30\"}","{\"red\":\"10\",\"green\":\"-100\",\"blue\":\"-70\",\"gray\":\"60\"}"]
+ * @desc Screen tones leading from day into Bloodmoon night
+ * @parent Enable Bloodmoon
+ * 
+ * @param Bloodmoon Night Tone
+ * @type struct<tone>
+ * @default {"red":"-10","green":"-110","blue":"-80","gray":"120"}
+ * @desc Screen tone applied during Bloodmoon night
+ * @parent Enable Bloodmoon
+ * 
+ * @param Bloodmoon Dawn Tone Phases
+ * @type struct<tone>[]
+ * @default ["{\"red\":\"-15\",\"green\":\"-90\",\"blue\":\"-60\",\"gray\":\"60\"}","{\"red\":\"-15\",\"green\":\"-70\",\"blue\":\"-50\",\"gray\":\"30\"}","{\"red\":\"-15\",\"green\":\"-40\",\"blue\":\"-40\",\"gray\":\"10\"}","{\"red\":\"-15\",\"green\":\"-30\",\"blue\":\"-30\",\"gray\":\"0\"}"]
+ * @desc Screen tones leading from Bloodmoon night into the next day
+ * @parent Enable Bloodmoon
+ * 
+ * @param Bloodmoon Tone Keyframes
+ * @type struct<toneKeyframe>[]
+ * @default []
+ * @desc Tones at times of day for Bloodmoon, blended smoothly.
+ * If any, these are used instead of the Bloodmoon tone phases.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Bloodmoon Overlay
+ * @type struct<picture>
+ * @desc Show this picture (if any) on outdoor maps during
+ * Bloodmoon night, instead of the Night Overlay.
+ * @parent Enable Bloodmoon
+ * 
+ * @param Special Nights
+ * @type struct<specialNight>[]
+ * @default []
+ * @desc Named cycles of unusual nights, each with its own switches,
+ * variable, and tones. These are in addition to Bloodmoon.
+ */
+
+/*~struct~time:
+ * @param hour
+ * @text Hour
+ * @type number
  * @min 1
  * @max 12
  * @default 6
@@ -462,6 +1430,283 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @default 0
  */
  
+/*~struct~month:
+ * @param name
+ * @text Name
+ * @type text
+ * @desc The name of this month.
+ * 
+ * @param days
+ * @text Days
+ * @type number
+ * @min 1
+ * @default 30
+ * @desc How many days are in this month.
+ */
+ 
+/*~struct~scheduledEvent:
+ * @param time_of_day
+ * @text Time of Day
+ * @type struct<time>
+ * @default {"hour":"6","minutes":"0","ampm":"AM"}
+ * @desc The time at which to run the common event.
+ * 
+ * @param common_event
+ * @text Common Event
+ * @type common_event
+ * @desc The common event to run.
+ * 
+ * @param days
+ * @text Days
+ * @type text
+ * @desc Weekday names or day numbers, separated by commas,
+ * on which to run. Leave blank for every day.
+ * 
+ * @param catch_up
+ * @text Catch Up
+ * @type select
+ * @option Once
+ * @value once
+ * @option Every Occurrence
+ * @value each
+ * @default once
+ * @desc When time jumps past this schedule more than once,
+ * run the common event once, or once per occurrence.
+ */
+ 
+/*~struct~season:
+ * @param name
+ * @text Name
+ * @type text
+ * @desc The name of this season.
+ * 
+ * @param days
+ * @text Days
+ * @type number
+ * @min 1
+ * @default 30
+ * @desc How many days this season lasts.
+ * 
+ * @param dawn_start
+ * @text Dawn Start Time
+ * @type struct<time>
+ * @desc When to start dawn tone phases this season.
+ * Leave blank to use the main Dawn Start Time.
+ * 
+ * @param day_start
+ * @text Day Start Time
+ * @type struct<time>
+ * @desc When daytime starts this season.
+ * Leave blank to use the main Day Start Time.
+ * 
+ * @param dusk_start
+ * @text Dusk Start Time
+ * @type struct<time>
+ * @desc When to start dusk tone phases this season.
+ * Leave blank to use the main Dusk Start Time.
+ * 
+ * @param night_start
+ * @text Night Start Time
+ * @type struct<time>
+ * @desc When night starts this season.
+ * Leave blank to use the main Night Start Time.
+ * 
+ * @param dawn_tone_phases
+ * @text Dawn Tone Phases
+ * @type struct<tone>[]
+ * @desc The tone(s) from night to day this season.
+ * Leave blank to use the main Dawn Tone Phases.
+ * 
+ * @param daylight_tone
+ * @text Daylight Tone
+ * @type struct<tone>
+ * @desc The screen tone during day time this season.
+ * Leave blank to use the main Daylight Tone.
+ * 
+ * @param dusk_tone_phases
+ * @text Dusk Tone Phases
+ * @type struct<tone>[]
+ * @desc The tone(s) from day to night this season.
+ * Leave blank to use the main Dusk Tone Phases.
+ * 
+ * @param night_tone
+ * @text Night Tone
+ * @type struct<tone>
+ * @desc The screen tone during night time this season.
+ * Leave blank to use the main Night Tone.
+ * 
+ * @param tone_keyframes
+ * @text Tone Keyframes
+ * @type struct<toneKeyframe>[]
+ * @desc Tones at times of day this season, blended smoothly.
+ * Leave blank to use the main Tone Keyframes.
+ */
+ 
+/*~struct~specialNight:
+ * @param name
+ * @text Name
+ * @type text
+ * @desc The name of this special night, such as Full Moon or Eclipse.
+ * 
+ * @param days_in_cycle
+ * @text Days in Cycle
+ * @type number
+ * @min 1
+ * @default 8
+ * @desc Number of days from one of these nights to the next.
+ * 
+ * @param nights_before_first
+ * @text Nights Before First
+ * @type number
+ * @default 0
+ * @desc Number of nights before the first of these nights.
+ * Use this to offset cycles of the same length.
+ * 
+ * @param schedule
+ * @text Schedule
+ * @type select
+ * @option fixed
+ * @option random
+ * @default fixed
+ * @desc fixed = every Days in Cycle nights.
+ * random = rolled between the Min and Max Days.
+ * 
+ * @param min_days
+ * @text Min Days
+ * @type number
+ * @min 1
+ * @default 4
+ * @desc With a random schedule, the fewest days
+ * from one of these nights to the next.
+ * 
+ * @param max_days
+ * @text Max Days
+ * @type number
+ * @min 1
+ * @default 10
+ * @desc With a random schedule, the most days
+ * from one of these nights to the next.
+ * 
+ * @param chance
+ * @text Chance Percent
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 25
+ * @desc With a random schedule, the percent chance of each night
+ * between the min and max days being one of these nights.
+ * 
+ * @param priority
+ * @text Priority
+ * @type number
+ * @default 1
+ * @desc When special nights fall on the same night,
+ * the tones of the one with the higher priority are used.
+ * 
+ * @param night_switch
+ * @text Night Switch
+ * @type switch
+ * @desc This switch is ON during this special night.
+ * 
+ * @param phase_switch
+ * @text Phase Switch
+ * @type switch
+ * @desc This switch is ON during this special night
+ * and the day before it.
+ * 
+ * @param phase_variable
+ * @text Phase Variable
+ * @type variable
+ * @desc Where to store how many nights since the last of these nights.
+ * 0 on this special night and the day before it.
+ * 
+ * @param dusk_tone_phases
+ * @text Dusk Tone Phases
+ * @type struct<tone>[]
+ * @desc Screen tones leading from day into this special night.
+ * Leave blank to use the usual Dusk Tone Phases.
+ * 
+ * @param night_tone
+ * @text Night Tone
+ * @type struct<tone>
+ * @desc Screen tone applied during this special night.
+ * Leave blank to use the usual Night Tone.
+ * 
+ * @param dawn_tone_phases
+ * @text Dawn Tone Phases
+ * @type struct<tone>[]
+ * @desc Screen tones leading from this special night into the next day.
+ * Leave blank to use the usual Dawn Tone Phases.
+ * 
+ * @param tone_keyframes
+ * @text Tone Keyframes
+ * @type struct<toneKeyframe>[]
+ * @desc Tones at times of day for this special night, blended smoothly.
+ * If any, these are used instead of the tone phases above.
+ * 
+ * @param picture_overlay
+ * @text Picture Overlay
+ * @type struct<picture>
+ * @desc Show this picture (if any) on outdoor maps during
+ * this special night, instead of the Night Overlay.
+ */
+ 
+/*~struct~weatherChance:
+ * @param type
+ * @text Weather Type
+ * @type select
+ * @option rain
+ * @option storm
+ * @option snow
+ * @default rain
+ * 
+ * @param power
+ * @text Power
+ * @type number
+ * @min 1
+ * @max 9
+ * @default 5
+ * 
+ * @param chance
+ * @text Chance Percent
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 20
+ * @desc The chance each hour that this weather starts.
+ * 
+ * @param phase
+ * @text Time of Day
+ * @type select
+ * @option any
+ * @option dawn
+ * @option day
+ * @option dusk
+ * @option night
+ * @default any
+ * @desc The part of the day in which this weather may happen.
+ * 
+ * @param season
+ * @text Season
+ * @type text
+ * @desc The name of the season in which this weather may happen.
+ * Leave blank for any season.
+ */
+ 
+/*~struct~toneKeyframe:
+ * @param time
+ * @text Time of Day
+ * @type struct<time>
+ * @default {"hour":"12","minutes":"0","ampm":"PM"}
+ * @desc The time at which the screen tone is exactly this tone.
+ * 
+ * @param tone
+ * @text Tone
+ * @type struct<tone>
+ * @default {"red":"0","green":"0","blue":"0","gray":"0"}
+ * @desc The screen tone at this time of day.
+ */
+ 
 /*~struct~tone:
  * @param red
  * @text Red
@@ -503,11 +1748,41 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @type struct<tone>
  * @desc The screen tone to apply when a notetag or plugin command calls for this preset.
  * 
+ * @param dawn_tone
+ * @text Dawn Tone
+ * @type struct<tone>
+ * @desc If given, this preset follows the clock, with this tone
+ * in the middle of dawn, and its Tone as its daytime tone.
+ * 
+ * @param dusk_tone
+ * @text Dusk Tone
+ * @type struct<tone>
+ * @desc If given, this preset follows the clock, with this tone
+ * in the middle of dusk, and its Tone as its daytime tone.
+ * 
+ * @param night_tone
+ * @text Night Tone
+ * @type struct<tone>
+ * @desc If given, this preset follows the clock, with this tone
+ * at night, and its Tone as its daytime tone.
+ * 
+ * @param tone_keyframes
+ * @text Tone Keyframes
+ * @type struct<toneKeyframe>[]
+ * @desc If given, this preset follows the clock, blending these
+ * tones at times of day. Other tones are then not used.
+ * 
  * @param picture_overlay
  * @text Picture Overlay
  * @type struct<picture>
  * @desc Show this picture (if any) on the screen
  * whenever this lighting preset is active.
+ * 
+ * @param picture_overlays
+ * @text More Picture Overlays
+ * @type struct<picture>[]
+ * @desc Show these pictures too, layered by picture number,
+ * whenever this lighting preset is active.
  */
 
 /*~struct~picture:
@@ -593,17 +1868,78 @@ McKathlin.DayNight = McKathlin.DayNight || {};
  * @default 0
  * @desc This picture's way of layering. Normal = simple overlap.
  * Additive = lighten. Multiply = darken. Screen = brighten.
- */
-
-(() => {
-	//=============================================================================
-	// Constants
-	//=============================================================================
-	
-	const pluginName = 'McKathlin_DayNight';
-	
-	McKathlin = McKathlin || {};
-	McKathlin.DayNight = McKathlin.DayNight || {};
+ * 
+ * @param opacity_progress
+ * @text Opacity Progress
+ * @type select
+ * @option Steady
+ * @value none
+ * @option Fade In Through Phase
+ * @value rise
+ * @option Fade Out Through Phase
+ * @value fall
+ * @default none
+ * @desc For dawn, day, dusk, night, and special night overlays:
+ * whether opacity follows how far the phase has gone.
+ * 
+ * @param scroll_x
+ * @text Scroll X
+ * @type number
+ * @min -100
+ * @max 100
+ * @default 0
+ * @desc Pixels per frame to scroll rightward. Negative scrolls left.
+ * A scrolling picture is tiled to fill the screen.
+ * 
+ * @param scroll_y
+ * @text Scroll Y
+ * @type number
+ * @min -100
+ * @max 100
+ * @default 0
+ * @desc Pixels per frame to scroll downward. Negative scrolls up.
+ * A scrolling picture is tiled to fill the screen.
+ * 
+ * @param frame_files
+ * @text Animation Frames
+ * @type file[]
+ * @dir img/pictures/
+ * @desc More pictures to cycle through after the File Name,
+ * such as for flickering firelight.
+ * 
+ * @param frame_duration
+ * @text Frame Duration
+ * @type number
+ * @min 1
+ * @default 8
+ * @desc How many frames (1/60 sec) to show each animation frame.
+ * 
+ * @param pulse_percent
+ * @text Pulse Percent
+ * @type number
+ * @min 0
+ * @max 100
+ * @default 0
+ * @desc How far the opacity dips as the picture pulses,
+ * as a percent of its opacity. 0 = no pulse.
+ * 
+ * @param pulse_period
+ * @text Pulse Period
+ * @type number
+ * @min 1
+ * @default 120
+ * @desc How many frames (1/60 sec) each pulse takes.
+ */
+
+(() => {
+	//=============================================================================
+	// Constants
+	//=============================================================================
+	
+	const pluginName = 'McKathlin_DayNight';
+	
+	McKathlin = McKathlin || {};
+	McKathlin.DayNight = McKathlin.DayNight || {};
 	
 	McKathlin.DayNight.MINUTES_PER_HOUR = 60;
 	McKathlin.DayNight.HOURS_PER_DAY = 24;
@@ -650,6 +1986,232 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		return list;
 	};
 	
+	// Returns null if the string is blank, so that a default may be used.
+	McKathlin.DayNight.parseOptionalNumber = function(numberString) {
+		if (!numberString || !numberString.trim()) return null;
+		return Number(numberString);
+	};
+
+	// Converts a rate string such as "1m/5s" into minutes per number of frames.
+	// Returns null if the string is not a valid rate.
+	McKathlin.DayNight.parseRealTimeRate = function(rateString) {
+		if (!rateString) return null;
+		const FRAMES_PER_SECOND = 60;
+		var sides = rateString.split('/');
+		if (sides.length != 2) return null;
+
+		var minutes = 0;
+		var match;
+		var unitRegex = /(\d+) ?([dhm])/gi;
+		while (match = unitRegex.exec(sides[0])) {
+			let amount = Number(match[1]);
+			switch (match[2].toLowerCase()) {
+				case 'd':
+					minutes += amount * McKathlin.DayNight.MINUTES_PER_DAY;
+					break;
+				case 'h':
+					minutes += amount * McKathlin.DayNight.MINUTES_PER_HOUR;
+					break;
+				default:
+					minutes += amount;
+					break;
+			}
+		}
+
+		var frames;
+		if (match = sides[1].match(/(\d+(?:\.\d+)?) ?s/i)) {
+			frames = Math.round(Number(match[1]) * FRAMES_PER_SECOND);
+		} else if (match = sides[1].match(/(\d+) ?f/i)) {
+			frames = Number(match[1]);
+		}
+		if (!minutes || !frames) return null;
+		return { minutes: minutes, frames: frames };
+	};
+
+	McKathlin.DayNight.parseMonths = function(monthListJson) {
+		var months = [];
+		if (monthListJson) {
+			for (const monthJson of JSON.parse(monthListJson)) {
+				let month = JSON.parse(monthJson);
+				months.push({ name: month.name || '', days: Number(month.days) || 1 });
+			}
+		}
+		if (0 == months.length) {
+			// A calendar with no months is one long month a year long.
+			months.push({ name: '', days: 365 });
+		}
+		return months;
+	};
+
+	// Parses a list of tone keyframes, sorted by time of day.
+	McKathlin.DayNight.parseToneKeyframes = function(keyframeListJson) {
+		var keyframes = [];
+		if (!keyframeListJson) return keyframes;
+		for (const keyframeJson of JSON.parse(keyframeListJson)) {
+			let keyframe = JSON.parse(keyframeJson);
+			keyframes.push({
+				time: McKathlin.DayNight.parseTimeAsMinutes(keyframe.time) %
+					McKathlin.DayNight.MINUTES_PER_DAY,
+				tone: McKathlin.DayNight.parseTone(keyframe.tone)
+			});
+		}
+		return keyframes.sort((a, b) => a.time - b.time);
+	};
+
+	// Makes a day profile: the times and tones that make up one day.
+	// Any time or tone not given is taken from the base profile.
+	McKathlin.DayNight.makeDayProfile = function(values, base = {}) {
+		var profile = Object.assign({}, base, values);
+		profile.dawnEnd = profile.dawnStart +
+			(profile.dawnTonePhases.length * McKathlin.DayNight.Param.MinutesPerTonePhase);
+		profile.duskEnd = profile.duskStart +
+			(profile.duskTonePhases.length * McKathlin.DayNight.Param.MinutesPerTonePhase);
+		profile.midday = (profile.dawnEnd + profile.duskStart) / 2;
+		return profile;
+	};
+
+	McKathlin.DayNight.parseSeasons = function(seasonListJson, baseProfile) {
+		var seasons = [];
+		if (!seasonListJson) return seasons;
+		for (const seasonJson of JSON.parse(seasonListJson)) {
+			let season = JSON.parse(seasonJson);
+			let values = { name: season.name || '', days: Number(season.days) || 1 };
+			if (season.dawn_start) {
+				values.dawnStart = McKathlin.DayNight.parseTimeAsMinutes(season.dawn_start);
+			}
+			if (season.day_start) {
+				values.dayStart = McKathlin.DayNight.parseTimeAsMinutes(season.day_start);
+			}
+			if (season.dusk_start) {
+				values.duskStart = McKathlin.DayNight.parseTimeAsMinutes(season.dusk_start);
+			}
+			if (season.night_start) {
+				values.nightStart = McKathlin.DayNight.parseTimeAsMinutes(season.night_start);
+			}
+			let dawnTonePhases = McKathlin.DayNight.parseSimpleToneList(season.dawn_tone_phases);
+			if (dawnTonePhases && dawnTonePhases.length) {
+				values.dawnTonePhases = dawnTonePhases;
+			}
+			if (season.daylight_tone) {
+				values.daylightTone = McKathlin.DayNight.parseTone(season.daylight_tone);
+			}
+			let duskTonePhases = McKathlin.DayNight.parseSimpleToneList(season.dusk_tone_phases);
+			if (duskTonePhases && duskTonePhases.length) {
+				values.duskTonePhases = duskTonePhases;
+			}
+			if (season.night_tone) {
+				values.nightTone = McKathlin.DayNight.parseTone(season.night_tone);
+			}
+			let toneKeyframes = McKathlin.DayNight.parseToneKeyframes(season.tone_keyframes);
+			if (toneKeyframes.length) {
+				values.toneKeyframes = toneKeyframes;
+			}
+			seasons.push(McKathlin.DayNight.makeDayProfile(values, baseProfile));
+		}
+		return seasons;
+	};
+
+	// Parses the Special Nights parameter into a list of night cycles.
+	McKathlin.DayNight.parseSpecialNights = function(specialNightListJson) {
+		var specialNights = [];
+		if (!specialNightListJson) return specialNights;
+		for (const specialNightJson of JSON.parse(specialNightListJson)) {
+			let specialNight = JSON.parse(specialNightJson);
+			let dawnTonePhases = McKathlin.DayNight.parseSimpleToneList(
+				specialNight.dawn_tone_phases);
+			let duskTonePhases = McKathlin.DayNight.parseSimpleToneList(
+				specialNight.dusk_tone_phases);
+			specialNights.push(McKathlin.DayNight.makeSpecialNight({
+				name: specialNight.name,
+				daysInCycle: Number(specialNight.days_in_cycle) || 1,
+				nightsBeforeFirst: Number(specialNight.nights_before_first) || 0,
+				schedule: specialNight.schedule || 'fixed',
+				minDays: Number(specialNight.min_days) || 1,
+				maxDays: Number(specialNight.max_days) || 1,
+				chance: Number(specialNight.chance) || 0,
+				priority: Number(specialNight.priority) || 0,
+				nightSwitch: Number(specialNight.night_switch) || 0,
+				phaseSwitch: Number(specialNight.phase_switch) || 0,
+				phaseVariable: Number(specialNight.phase_variable) || 0,
+				dawnTonePhases: dawnTonePhases && dawnTonePhases.length ?
+					dawnTonePhases : null,
+				duskTonePhases: duskTonePhases && duskTonePhases.length ?
+					duskTonePhases : null,
+				nightTone: McKathlin.DayNight.parseTone(specialNight.night_tone) || null,
+				toneKeyframes: McKathlin.DayNight.parseToneKeyframes(
+					specialNight.tone_keyframes),
+				pictureOverlay: McKathlin.DayNight.parsePicture(
+					specialNight.picture_overlay)
+			}));
+		}
+		return specialNights;
+	};
+
+	// Fills in the derived values of a special night cycle.
+	McKathlin.DayNight.makeSpecialNight = function(values) {
+		var specialNight = Object.assign({}, values);
+		specialNight.name = (values.name || '').trim();
+		specialNight.key = specialNight.name.toLowerCase();
+		specialNight.phaseIndex = values.nightsBeforeFirst % values.daysInCycle;
+		specialNight.isRandom = 'random' == values.schedule;
+		specialNight.maxDays = Math.max(values.minDays || 1, values.maxDays || 1);
+		return specialNight;
+	};
+
+	McKathlin.DayNight.parseWeatherTable = function(weatherTableJson) {
+		var table = [];
+		if (!weatherTableJson) return table;
+		for (const entryJson of JSON.parse(weatherTableJson)) {
+			let entry = JSON.parse(entryJson);
+			table.push({
+				type: entry.type || 'rain',
+				power: Number(entry.power) || 5,
+				chance: Number(entry.chance) || 0,
+				phases: !entry.phase || 'any' == entry.phase ? [] : [entry.phase],
+				season: (entry.season || '').toLowerCase()
+			});
+		}
+		return table;
+	};
+
+	// Parses a comma-separated list of weekday names and day numbers.
+	// Returns null if the list is blank, meaning every day.
+	McKathlin.DayNight.parseDayFilter = function(daysString) {
+		if (!daysString || !daysString.trim()) {
+			return null;
+		}
+		const lowerWeekdayNames = McKathlin.DayNight.Param.WeekdayNames.map(
+			(name) => name.toLowerCase());
+		var filter = { weekdays: [], days: [] };
+		for (const word of daysString.split(',')) {
+			let dayWord = word.trim().toLowerCase();
+			let weekdayIndex = lowerWeekdayNames.indexOf(dayWord);
+			if (weekdayIndex >= 0) {
+				filter.weekdays.push(weekdayIndex + 1);
+			} else if (/^\d+$/.test(dayWord)) {
+				filter.days.push(Number(dayWord));
+			} else if (dayWord) {
+				console.warn("Unrecognized day in DayNight schedule: " + word);
+			}
+		}
+		return filter;
+	};
+
+	McKathlin.DayNight.parseScheduledEvents = function(scheduleListJson) {
+		var schedules = [];
+		if (!scheduleListJson) return schedules;
+		for (const scheduleJson of JSON.parse(scheduleListJson)) {
+			let schedule = JSON.parse(scheduleJson);
+			schedules.push({
+				minutesOfDay: McKathlin.DayNight.parseTimeAsMinutes(schedule.time_of_day),
+				commonEventId: Number(schedule.common_event),
+				dayFilter: McKathlin.DayNight.parseDayFilter(schedule.days),
+				catchUp: schedule.catch_up || 'once'
+			});
+		}
+		return schedules;
+	};
+
 	McKathlin.DayNight.parsePresets = function(lightingPresetJson) {
 		if (!lightingPresetJson) return;
 		var structList = JSON.parse(lightingPresetJson);
@@ -658,11 +2220,22 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 			let preset = JSON.parse(presetJson);
 			let key = preset.keyword.toLowerCase();
 			preset.tone = McKathlin.DayNight.parseTone(preset.tone);
+			preset.dawn_tone = McKathlin.DayNight.parseTone(preset.dawn_tone);
+			preset.dusk_tone = McKathlin.DayNight.parseTone(preset.dusk_tone);
+			preset.night_tone = McKathlin.DayNight.parseTone(preset.night_tone);
+			preset.tone_keyframes = McKathlin.DayNight.parseToneKeyframes(
+				preset.tone_keyframes);
+			preset.isTimeVarying = preset.tone_keyframes.length > 0 ||
+				!!(preset.dawn_tone || preset.dusk_tone || preset.night_tone);
 			preset.picture_overlay = this.parsePicture(
 				preset.picture_overlay);
+			preset.picture_overlays = this.parsePictureList(
+				preset.picture_overlays);
+			if (preset.picture_overlay) {
+				preset.picture_overlays.unshift(preset.picture_overlay);
+			}
 			lookup[key] = preset;
 		};
-		this.autoAssignPictureNumbers(lookup);
 		return lookup;
 	};
 
@@ -677,8 +2250,10 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 
 		// Convert properties to their intended types.
 		for (const key in picture) {
-			if ("filename" == key) {
-				// Filename remains a string.
+			if ("frame_files" == key) {
+				picture[key] = picture[key] ? JSON.parse(picture[key]) : [];
+			} else if ("filename" == key || "opacity_progress" == key) {
+				// Filename and opacity progress remain strings.
 			} else {
 				// All other properties are numeric.
 				picture[key] = Number(picture[key] || 0);
@@ -687,27 +2262,47 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		return picture;
 	};
 
-	McKathlin.DayNight.autoAssignPictureNumbers = function(presetLookup) {
-		const presets = Object.values(presetLookup);
+	// Returns every picture overlay in the plugin parameters.
+	McKathlin.DayNight.getAllPictureOverlays = function() {
+		const Param = McKathlin.DayNight.Param;
+		var pictures = [];
+		for (const preset of Object.values(Param.SimpleLightingPresets || {})) {
+			pictures.push(...preset.picture_overlays);
+		}
+		pictures.push(...Object.values(Param.PhaseOverlays));
+		for (const specialNight of Param.SpecialNights) {
+			pictures.push(specialNight.pictureOverlay);
+		}
+		return pictures.filter((picture) => !!picture);
+	};
+
+	McKathlin.DayNight.parsePictureList = function(pictureListJson) {
+		if (!pictureListJson) {
+			return [];
+		}
+		return JSON.parse(pictureListJson).map(
+			(pictureJson) => this.parsePicture(pictureJson)).filter(
+			(picture) => !!picture);
+	};
+
+	McKathlin.DayNight.autoAssignPictureNumbers = function(pictures) {
 		const numbersTakenLookup = {};
 
 		// First pass: take note of picture numbers already taken
-		for (const preset of presets) {
-			if (preset && preset.picture_overlay &&
-				preset.picture_overlay.picture_number) {
-				numbersTakenLookup[preset.picture_overlay.picture_number] = true;
+		for (const picture of pictures) {
+			if (picture.picture_number) {
+				numbersTakenLookup[picture.picture_number] = true;
 			}
 		}
 
 		// Second pass: assign to not-yet-taken picture numbers
 		var nextNumber = McKathlin.DayNight.Param.OverlayStartingPictureNumber;
-		for (const preset of presets) {
-			if (preset && preset.picture_overlay &&
-				!preset.picture_overlay.picture_number) {
+		for (const picture of pictures) {
+			if (!picture.picture_number) {
 				while (numbersTakenLookup[nextNumber]) {
 					nextNumber++;
 				}
-				preset.picture_overlay.picture_number = nextNumber;
+				picture.picture_number = nextNumber;
 				numbersTakenLookup[nextNumber] = true;
 			}
 		}
@@ -731,6 +2326,30 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		McKathlin.DayNight.Parameters['Current Hour Variable']);
 	McKathlin.DayNight.Param.CurrentMinuteVariable = Number(
 		McKathlin.DayNight.Parameters['Current Minute Variable']);
+	McKathlin.DayNight.Param.WeekdayVariable = Number(
+		McKathlin.DayNight.Parameters['Weekday Variable']);
+	McKathlin.DayNight.Param.DayOfMonthVariable = Number(
+		McKathlin.DayNight.Parameters['Day of Month Variable']);
+	McKathlin.DayNight.Param.MonthVariable = Number(
+		McKathlin.DayNight.Parameters['Month Variable']);
+	McKathlin.DayNight.Param.YearVariable = Number(
+		McKathlin.DayNight.Parameters['Year Variable']);
+
+	// Calendar parameters
+	McKathlin.DayNight.Param.WeekdayNames = JSON.parse(
+		McKathlin.DayNight.Parameters['Weekday Names'] || '[]');
+	McKathlin.DayNight.Param.Months = McKathlin.DayNight.parseMonths(
+		McKathlin.DayNight.Parameters['Months']);
+	McKathlin.DayNight.Param.StartingYear = Number(
+		McKathlin.DayNight.Parameters['Starting Year'] || 1);
+	McKathlin.DayNight.Param.StartingMonth = Number(
+		McKathlin.DayNight.Parameters['Starting Month'] || 1);
+	McKathlin.DayNight.Param.StartingDayOfMonth = Number(
+		McKathlin.DayNight.Parameters['Starting Day of Month'] || 1);
+	McKathlin.DayNight.Param.StartingWeekday = Number(
+		McKathlin.DayNight.Parameters['Starting Weekday'] || 1);
+	McKathlin.DayNight.Param.ScheduledEvents = McKathlin.DayNight.parseScheduledEvents(
+		McKathlin.DayNight.Parameters['Scheduled Events']);
 
 	McKathlin.DayNight.Param.NewGameStartTimeAsMinutes = McKathlin.DayNight.parseTimeAsMinutes(
 		McKathlin.DayNight.Parameters['New Game Start Time']);
@@ -745,6 +2364,29 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	
 	McKathlin.DayNight.Param.MinutesPerStep = Number(
 		McKathlin.DayNight.Parameters['Minutes Per Step']);
+	McKathlin.DayNight.Param.RealTimeClock = "true" ==
+		McKathlin.DayNight.Parameters['Real-Time Clock'];
+	McKathlin.DayNight.Param.RealTimeRate = McKathlin.DayNight.parseRealTimeRate(
+		McKathlin.DayNight.Parameters['Real-Time Rate']);
+	McKathlin.DayNight.Param.TimePausedSwitch = Number(
+		McKathlin.DayNight.Parameters['Time Paused Switch']);
+	McKathlin.DayNight.Param.DashStepMultiplier = McKathlin.DayNight.parseOptionalNumber(
+		McKathlin.DayNight.Parameters['Dash Step Multiplier']);
+	if (null === McKathlin.DayNight.Param.DashStepMultiplier) {
+		McKathlin.DayNight.Param.DashStepMultiplier = 100;
+	}
+	McKathlin.DayNight.Param.VehicleMinutesPerStep = {
+		boat: McKathlin.DayNight.parseOptionalNumber(
+			McKathlin.DayNight.Parameters['Boat Minutes Per Step']),
+		ship: McKathlin.DayNight.parseOptionalNumber(
+			McKathlin.DayNight.Parameters['Ship Minutes Per Step']),
+		airship: McKathlin.DayNight.parseOptionalNumber(
+			McKathlin.DayNight.Parameters['Airship Minutes Per Step'])
+	};
+	McKathlin.DayNight.Param.TimeSpeedVariable = Number(
+		McKathlin.DayNight.Parameters['Time Speed Variable']);
+	McKathlin.DayNight.Param.FreezeTimeSwitch = Number(
+		McKathlin.DayNight.Parameters['Freeze Time Switch']);
 	McKathlin.DayNight.Param.MinutesPerTonePhase = Number(
 		McKathlin.DayNight.Parameters['Minutes Per Tone Phase']);
 	McKathlin.DayNight.Param.ToneFadeDuration = Number(
@@ -758,17 +2400,102 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		McKathlin.DayNight.Parameters['Dusk Tone Phases']);
 	McKathlin.DayNight.Param.NightTone = McKathlin.DayNight.parseTone(
 		McKathlin.DayNight.Parameters['Night Tone']);
+	McKathlin.DayNight.Param.ToneKeyframes = McKathlin.DayNight.parseToneKeyframes(
+		McKathlin.DayNight.Parameters['Tone Keyframes']);
+	McKathlin.DayNight.Param.ToneEasing =
+		McKathlin.DayNight.Parameters['Tone Easing'] || 'linear';
 	
 	McKathlin.DayNight.Param.OutdoorLightingKeyword =
 		McKathlin.DayNight.Parameters['Outdoor Lighting Keyword'].toLowerCase();
-	// Overlay Starting Picture Number is parsed first,
-	// so that preset parsing can reference it to auto-assign picture numbers.
 	McKathlin.DayNight.Param.OverlayStartingPictureNumber = Number(
 		McKathlin.DayNight.Parameters['Overlay Starting Picture Number']);
 	McKathlin.DayNight.Param.SimpleLightingPresets = McKathlin.DayNight.parsePresets(
 		McKathlin.DayNight.Parameters['Simple Lighting Presets']);
+	McKathlin.DayNight.Param.PhaseOverlays = {
+		dawn: McKathlin.DayNight.parsePicture(
+			McKathlin.DayNight.Parameters['Dawn Overlay']),
+		day: McKathlin.DayNight.parsePicture(
+			McKathlin.DayNight.Parameters['Day Overlay']),
+		dusk: McKathlin.DayNight.parsePicture(
+			McKathlin.DayNight.Parameters['Dusk Overlay']),
+		night: McKathlin.DayNight.parsePicture(
+			McKathlin.DayNight.Parameters['Night Overlay'])
+	};
 	McKathlin.DayNight.Param.DefaultLightingKeyword =
 		McKathlin.DayNight.Parameters['Default Lighting Keyword'].toLowerCase();
+	McKathlin.DayNight.Param.BattleToneMode =
+		McKathlin.DayNight.Parameters['Battle Tone Mode'] || 'unchanged';
+	McKathlin.DayNight.Param.BattleNightTone = McKathlin.DayNight.parseTone(
+		McKathlin.DayNight.Parameters['Battle Night Tone']);
+
+	// Clock window parameters
+	McKathlin.DayNight.Param.ShowClockWindow = "true" ==
+		McKathlin.DayNight.Parameters['Show Clock Window'];
+	McKathlin.DayNight.Param.ClockWindowPosition =
+		McKathlin.DayNight.Parameters['Clock Window Position'] || 'topRight';
+	McKathlin.DayNight.Param.ClockVisibilitySwitch = Number(
+		McKathlin.DayNight.Parameters['Clock Visibility Switch']);
+	McKathlin.DayNight.Param.ClockHourFormat = Number(
+		McKathlin.DayNight.Parameters['Clock Hour Format']) || 12;
+	McKathlin.DayNight.Param.ClockDayFormat =
+		McKathlin.DayNight.Parameters['Clock Day Format'] || "Day %1";
+	McKathlin.DayNight.Param.HideClockDuringEvents = "true" ==
+		McKathlin.DayNight.Parameters['Hide Clock During Events'];
+	McKathlin.DayNight.Param.ShowClockInMenu = "true" ==
+		McKathlin.DayNight.Parameters['Show Clock in Menu'];
+
+	// Rest parameters
+	McKathlin.DayNight.Param.RestHoursVariable = Number(
+		McKathlin.DayNight.Parameters['Rest Hours Variable']);
+	McKathlin.DayNight.Param.RestHpRecovery = Number(
+		McKathlin.DayNight.Parameters['Rest HP Recovery']) || 0;
+	McKathlin.DayNight.Param.RestMpRecovery = Number(
+		McKathlin.DayNight.Parameters['Rest MP Recovery']) || 0;
+	McKathlin.DayNight.Param.RestUntilDawnText =
+		McKathlin.DayNight.Parameters['Rest Until Dawn Text'] || "Until Dawn";
+	McKathlin.DayNight.Param.RestUntilDuskText =
+		McKathlin.DayNight.Parameters['Rest Until Dusk Text'] || "Until Dusk";
+	McKathlin.DayNight.Param.RestHoursText =
+		McKathlin.DayNight.Parameters['Rest Hours Text'] || "Rest %1 Hours";
+	McKathlin.DayNight.Param.RestWakeText =
+		McKathlin.DayNight.Parameters['Rest Wake Text'] || "Wake at %1";
+
+	// Shop parameters
+	McKathlin.DayNight.Param.ShopClosedMessage =
+		McKathlin.DayNight.Parameters['Shop Closed Message'] || "";
+
+	// Weather parameters
+	McKathlin.DayNight.Param.EnableAutoWeather = "true" ==
+		McKathlin.DayNight.Parameters['Enable Auto Weather'];
+	McKathlin.DayNight.Param.WeatherTable = McKathlin.DayNight.parseWeatherTable(
+		McKathlin.DayNight.Parameters['Weather Table']);
+	McKathlin.DayNight.Param.WeatherSeed = Number(
+		McKathlin.DayNight.Parameters['Weather Seed']);
+	McKathlin.DayNight.Param.WeatherFadeDuration = Number(
+		McKathlin.DayNight.Parameters['Weather Fade Duration']);
+	McKathlin.DayNight.Param.WeatherToneShifts = {
+		rain: McKathlin.DayNight.parseTone(
+			McKathlin.DayNight.Parameters['Rain Tone Shift']),
+		storm: McKathlin.DayNight.parseTone(
+			McKathlin.DayNight.Parameters['Storm Tone Shift']),
+		snow: McKathlin.DayNight.parseTone(
+			McKathlin.DayNight.Parameters['Snow Tone Shift'])
+	};
+
+	// Dynamic light parameters
+	McKathlin.DayNight.Param.EnableDynamicLights = "true" ==
+		McKathlin.DayNight.Parameters['Enable Dynamic Lights'];
+	McKathlin.DayNight.Param.DarknessMaskStrength = Number(
+		McKathlin.DayNight.Parameters['Darkness Mask Strength'] || 0);
+	McKathlin.DayNight.Param.LanternSwitch = Number(
+		McKathlin.DayNight.Parameters['Lantern Switch']);
+	McKathlin.DayNight.Param.LanternItems = JSON.parse(
+		McKathlin.DayNight.Parameters['Lantern Items'] || '[]').map(Number);
+	McKathlin.DayNight.Param.LanternLight = {
+		radius: Number(McKathlin.DayNight.Parameters['Lantern Radius']) || 144,
+		color: McKathlin.DayNight.Parameters['Lantern Color'] || '#ffcc66',
+		flicker: "true" == McKathlin.DayNight.Parameters['Lantern Flicker']
+	};
 
 	// Bloodmoon parameters
 	McKathlin.DayNight.Param.EnableBloodmoon = "true" ==
@@ -783,26 +2510,72 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		McKathlin.DayNight.Parameters['Days in Moon Cycle']);
 	McKathlin.DayNight.Param.NightsBeforeFirstBloodmoon = Number(
 		McKathlin.DayNight.Parameters['Nights Before First Bloodmoon']);
+	McKathlin.DayNight.Param.BloodmoonSchedule =
+		McKathlin.DayNight.Parameters['Bloodmoon Schedule'] || 'fixed';
+	McKathlin.DayNight.Param.MinDaysBetweenBloodmoons = Number(
+		McKathlin.DayNight.Parameters['Min Days Between Bloodmoons']) || 1;
+	McKathlin.DayNight.Param.MaxDaysBetweenBloodmoons = Number(
+		McKathlin.DayNight.Parameters['Max Days Between Bloodmoons']) || 1;
+	McKathlin.DayNight.Param.BloodmoonChance = Number(
+		McKathlin.DayNight.Parameters['Bloodmoon Chance']) || 0;
+	McKathlin.DayNight.Param.BloodmoonSeed = Number(
+		McKathlin.DayNight.Parameters['Bloodmoon Seed']) || 0;
 	McKathlin.DayNight.Param.BloodmoonDuskTonePhases = McKathlin.DayNight.parseSimpleToneList(
 		McKathlin.DayNight.Parameters['Bloodmoon Dusk Tone Phases']);
 	McKathlin.DayNight.Param.BloodmoonNightTone = McKathlin.DayNight.parseTone(
 		McKathlin.DayNight.Parameters['Bloodmoon Night Tone']);
 	McKathlin.DayNight.Param.BloodmoonDawnTonePhases = McKathlin.DayNight.parseSimpleToneList(
 		McKathlin.DayNight.Parameters['Bloodmoon Dawn Tone Phases']);
+	McKathlin.DayNight.Param.BloodmoonToneKeyframes = McKathlin.DayNight.parseToneKeyframes(
+		McKathlin.DayNight.Parameters['Bloodmoon Tone Keyframes']);
+	McKathlin.DayNight.Param.BloodmoonOverlay = McKathlin.DayNight.parsePicture(
+		McKathlin.DayNight.Parameters['Bloodmoon Overlay']);
+
+	// Special night cycles, starting with Bloodmoon if it's enabled.
+	McKathlin.DayNight.Param.SpecialNights = McKathlin.DayNight.parseSpecialNights(
+		McKathlin.DayNight.Parameters['Special Nights']);
+	if (McKathlin.DayNight.Param.EnableBloodmoon) {
+		McKathlin.DayNight.Param.SpecialNights.unshift(McKathlin.DayNight.makeSpecialNight({
+			name: 'Bloodmoon',
+			daysInCycle: McKathlin.DayNight.Param.DaysInMoonCycle,
+			nightsBeforeFirst: McKathlin.DayNight.Param.NightsBeforeFirstBloodmoon,
+			schedule: McKathlin.DayNight.Param.BloodmoonSchedule,
+			minDays: McKathlin.DayNight.Param.MinDaysBetweenBloodmoons,
+			maxDays: McKathlin.DayNight.Param.MaxDaysBetweenBloodmoons,
+			chance: McKathlin.DayNight.Param.BloodmoonChance,
+			priority: 0,
+			nightSwitch: McKathlin.DayNight.Param.BloodmoonNightSwitch,
+			phaseSwitch: McKathlin.DayNight.Param.BloodmoonPhaseSwitch,
+			phaseVariable: McKathlin.DayNight.Param.MoonPhaseVariable,
+			dawnTonePhases: McKathlin.DayNight.Param.BloodmoonDawnTonePhases,
+			duskTonePhases: McKathlin.DayNight.Param.BloodmoonDuskTonePhases,
+			nightTone: McKathlin.DayNight.Param.BloodmoonNightTone,
+			toneKeyframes: McKathlin.DayNight.Param.BloodmoonToneKeyframes,
+			pictureOverlay: McKathlin.DayNight.Param.BloodmoonOverlay
+		}));
+	}
 
 	// derived 'parameters'
 	McKathlin.DayNight.Param.ReservedSwitches = [
 		McKathlin.DayNight.Param.DaytimeSwitch,
-		McKathlin.DayNight.Param.NightSwitch,
-		McKathlin.DayNight.Param.BloodmoonNightSwitch,
-		McKathlin.DayNight.Param.BloodmoonPhaseSwitch
+		McKathlin.DayNight.Param.NightSwitch
 	];
+	for (const specialNight of McKathlin.DayNight.Param.SpecialNights) {
+		McKathlin.DayNight.Param.ReservedSwitches.push(
+			specialNight.nightSwitch, specialNight.phaseSwitch);
+	}
 	McKathlin.DayNight.Param.ReservedVariables = [
 		McKathlin.DayNight.Param.DaysPassedVariable, 
 		McKathlin.DayNight.Param.CurrentHourVariable, 
 		McKathlin.DayNight.Param.CurrentMinuteVariable,
-		McKathlin.DayNight.Param.MoonPhaseVariable
+		McKathlin.DayNight.Param.WeekdayVariable,
+		McKathlin.DayNight.Param.DayOfMonthVariable,
+		McKathlin.DayNight.Param.MonthVariable,
+		McKathlin.DayNight.Param.YearVariable
 	];
+	for (const specialNight of McKathlin.DayNight.Param.SpecialNights) {
+		McKathlin.DayNight.Param.ReservedVariables.push(specialNight.phaseVariable);
+	}
 	McKathlin.DayNight.Param.DawnEndTimeAsMinutes = McKathlin.DayNight.Param.DawnStartTimeAsMinutes + 
 		(McKathlin.DayNight.Param.DawnTonePhases.length * McKathlin.DayNight.Param.MinutesPerTonePhase);
 	McKathlin.DayNight.Param.DuskEndTimeAsMinutes = McKathlin.DayNight.Param.DuskStartTimeAsMinutes + 
@@ -811,6 +2584,49 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		(McKathlin.DayNight.Param.DawnEndTimeAsMinutes +
 			McKathlin.DayNight.Param.DuskStartTimeAsMinutes) / 2;
 
+	// Day profiles: the main times and tones, and those of each season
+	McKathlin.DayNight.Param.DefaultDayProfile = McKathlin.DayNight.makeDayProfile({
+		name: '',
+		days: 1,
+		dawnStart: McKathlin.DayNight.Param.DawnStartTimeAsMinutes,
+		dayStart: McKathlin.DayNight.Param.DayStartTimeAsMinutes,
+		duskStart: McKathlin.DayNight.Param.DuskStartTimeAsMinutes,
+		nightStart: McKathlin.DayNight.Param.NightStartTimeAsMinutes,
+		dawnTonePhases: McKathlin.DayNight.Param.DawnTonePhases,
+		daylightTone: McKathlin.DayNight.Param.DaylightTone,
+		duskTonePhases: McKathlin.DayNight.Param.DuskTonePhases,
+		nightTone: McKathlin.DayNight.Param.NightTone,
+		toneKeyframes: McKathlin.DayNight.Param.ToneKeyframes
+	});
+	McKathlin.DayNight.Param.Seasons = McKathlin.DayNight.parseSeasons(
+		McKathlin.DayNight.Parameters['Seasons'],
+		McKathlin.DayNight.Param.DefaultDayProfile);
+	McKathlin.DayNight.Param.StartingSeason = Number(
+		McKathlin.DayNight.Parameters['Starting Season'] || 1);
+	McKathlin.DayNight.Param.SeasonVariable = Number(
+		McKathlin.DayNight.Parameters['Season Variable']);
+	McKathlin.DayNight.Param.ReservedVariables.push(
+		McKathlin.DayNight.Param.SeasonVariable);
+	McKathlin.DayNight.Param.DaysInSeasonYear = McKathlin.DayNight.Param.Seasons.reduce(
+		(sum, season) => sum + season.days, 0);
+	// Day of the season year on which a new game starts, counting from 0.
+	McKathlin.DayNight.Param.StartingDayOfSeasonYear =
+		McKathlin.DayNight.Param.Seasons.slice(
+			0, McKathlin.DayNight.Param.StartingSeason - 1).reduce(
+			(sum, season) => sum + season.days, 0);
+	McKathlin.DayNight.Param.DaysInYear = McKathlin.DayNight.Param.Months.reduce(
+		(sum, month) => sum + month.days, 0);
+	// Day of the year on which a new game starts, counting from 0.
+	McKathlin.DayNight.Param.StartingDayOfYear =
+		McKathlin.DayNight.Param.Months.slice(
+			0, McKathlin.DayNight.Param.StartingMonth - 1).reduce(
+			(sum, month) => sum + month.days, 0) +
+		McKathlin.DayNight.Param.StartingDayOfMonth - 1;
+
+	// Picture numbers are assigned once all overlays are parsed.
+	McKathlin.DayNight.autoAssignPictureNumbers(
+		McKathlin.DayNight.getAllPictureOverlays());
+
 	//=============================================================================
 	// TimeSpan class
 	//=============================================================================
@@ -847,13 +2663,18 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		this.totalMinutes = totalMins;
 	};
 
+	// Times before day 0 still count their minutes and hours
+	// forward from the start of their day.
 	McKathlin.TimeSpan.prototype.getMinutes = function() {
-		return this.totalMinutes % McKathlin.DayNight.MINUTES_PER_HOUR;
+		const MINUTES_PER_HOUR = McKathlin.DayNight.MINUTES_PER_HOUR;
+		return (this.totalMinutes % MINUTES_PER_HOUR + MINUTES_PER_HOUR) %
+			MINUTES_PER_HOUR;
 	};
 
 	McKathlin.TimeSpan.prototype.getHours = function() {
-		return Math.floor(this.totalMinutes / McKathlin.DayNight.MINUTES_PER_HOUR) %
-			McKathlin.DayNight.HOURS_PER_DAY;
+		const HOURS_PER_DAY = McKathlin.DayNight.HOURS_PER_DAY;
+		const totalHours = Math.floor(this.totalMinutes / McKathlin.DayNight.MINUTES_PER_HOUR);
+		return (totalHours % HOURS_PER_DAY + HOURS_PER_DAY) % HOURS_PER_DAY;
 	};
 
 	McKathlin.TimeSpan.prototype.getDays = function() {
@@ -869,13 +2690,135 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	};
 
 	McKathlin.TimeSpan.prototype.getMinutesOfDay = function() {
-		return this.totalMinutes % McKathlin.DayNight.MINUTES_PER_DAY;
+		const MINUTES_PER_DAY = McKathlin.DayNight.MINUTES_PER_DAY;
+		return (this.totalMinutes % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+	};
+
+	// Calendar getters. Weekdays, months, and days of the month count from 1.
+	McKathlin.TimeSpan.prototype.getWeekday = function() {
+		const weekLength = McKathlin.DayNight.Param.WeekdayNames.length || 1;
+		const startIndex = McKathlin.DayNight.Param.StartingWeekday - 1;
+		return ((startIndex + this.getDays()) % weekLength + weekLength) % weekLength + 1;
+	};
+
+	McKathlin.TimeSpan.prototype.getWeekdayName = function() {
+		return McKathlin.DayNight.Param.WeekdayNames[this.getWeekday() - 1] || '';
+	};
+
+	McKathlin.TimeSpan.prototype.getDayOfMonth = function() {
+		return this.getCalendarDate().dayOfMonth;
+	};
+
+	McKathlin.TimeSpan.prototype.getMonth = function() {
+		return this.getCalendarDate().month;
+	};
+
+	McKathlin.TimeSpan.prototype.getMonthName = function() {
+		return McKathlin.DayNight.Param.Months[this.getMonth() - 1].name;
+	};
+
+	McKathlin.TimeSpan.prototype.getYear = function() {
+		return this.getCalendarDate().year;
+	};
+
+	// Returns the year, month, and day of month of this TimeSpan's day.
+	McKathlin.TimeSpan.prototype.getCalendarDate = function() {
+		const daysInYear = McKathlin.DayNight.Param.DaysInYear;
+		var dayCount = McKathlin.DayNight.Param.StartingDayOfYear + this.getDays();
+		var year = McKathlin.DayNight.Param.StartingYear +
+			Math.floor(dayCount / daysInYear);
+		var dayOfYear = (dayCount % daysInYear + daysInYear) % daysInYear;
+
+		var month = 1;
+		for (const monthInfo of McKathlin.DayNight.Param.Months) {
+			if (dayOfYear < monthInfo.days) {
+				break;
+			}
+			dayOfYear -= monthInfo.days;
+			month++;
+		}
+		return { year: year, month: month, dayOfMonth: dayOfYear + 1 };
+	};
+
+	// Seasons count from 1. Returns 0 if no seasons are configured.
+	McKathlin.TimeSpan.prototype.getSeason = function() {
+		const seasons = McKathlin.DayNight.Param.Seasons;
+		if (0 == seasons.length) {
+			return 0;
+		}
+		const daysInSeasonYear = McKathlin.DayNight.Param.DaysInSeasonYear;
+		var dayOfSeasonYear = ((McKathlin.DayNight.Param.StartingDayOfSeasonYear +
+			this.getDays()) % daysInSeasonYear + daysInSeasonYear) % daysInSeasonYear;
+		for (var i = 0; i < seasons.length; i++) {
+			if (dayOfSeasonYear < seasons[i].days) {
+				break;
+			}
+			dayOfSeasonYear -= seasons[i].days;
+		}
+		return i + 1;
+	};
+
+	McKathlin.TimeSpan.prototype.getSeasonName = function() {
+		return this.getDayProfile().name;
+	};
+
+	// Returns the times and tones of this TimeSpan's day,
+	// which depend on the season.
+	McKathlin.TimeSpan.prototype.getDayProfile = function() {
+		const season = this.getSeason();
+		return season > 0 ? McKathlin.DayNight.Param.Seasons[season - 1] :
+			McKathlin.DayNight.Param.DefaultDayProfile;
+	};
+
+	// Returns the part of the day by its tones:
+	// "dawn", "day", "dusk", or "night".
+	McKathlin.TimeSpan.prototype.getPhaseName = function() {
+		var time = this.getMinutesOfDay();
+		var profile = this.getDayProfile();
+		if (time < profile.dawnStart) {
+			return 'night';
+		} else if (time < profile.dawnEnd) {
+			return 'dawn';
+		} else if (time < profile.duskStart) {
+			return 'day';
+		} else if (time < profile.duskEnd) {
+			return 'dusk';
+		} else {
+			return 'night';
+		}
+	};
+
+	// Returns how far the current phase has gone,
+	// from 0 at its start up to 1 at its end.
+	McKathlin.TimeSpan.prototype.getPhaseProgress = function() {
+		const MINUTES_PER_DAY = McKathlin.DayNight.MINUTES_PER_DAY;
+		var time = this.getMinutesOfDay();
+		var profile = this.getDayProfile();
+		var start, end;
+		if (time < profile.dawnStart) {
+			start = profile.duskEnd - MINUTES_PER_DAY;
+			end = profile.dawnStart;
+		} else if (time < profile.dawnEnd) {
+			start = profile.dawnStart;
+			end = profile.dawnEnd;
+		} else if (time < profile.duskStart) {
+			start = profile.dawnEnd;
+			end = profile.duskStart;
+		} else if (time < profile.duskEnd) {
+			start = profile.duskStart;
+			end = profile.duskEnd;
+		} else {
+			start = profile.duskEnd;
+			end = profile.dawnStart + MINUTES_PER_DAY;
+		}
+		return end > start ? (time - start) / (end - start) : 1;
 	};
 
 	McKathlin.TimeSpan.prototype.isDaytime = function() {
 		var timeOfDay = this.getMinutesOfDay();
-		return timeOfDay >= McKathlin.DayNight.Param.DayStartTimeAsMinutes &&
-				timeOfDay < McKathlin.DayNight.Param.NightStartTimeAsMinutes;
+		var profile = this.getDayProfile();
+		return timeOfDay >= profile.dayStart &&
+				timeOfDay < profile.nightStart;
 	};
 
 	McKathlin.TimeSpan.prototype.isNight = function() {
@@ -892,6 +2835,14 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		return "" + hh + ":" + mm;
 	};
 
+	// Returns the time of day with AM or PM, such as "7:05 PM".
+	McKathlin.TimeSpan.prototype.toTwelveHourString = function() {
+		var hours = this.getHours();
+		var ampm = hours < 12 ? "AM" : "PM";
+		var mm = this.getMinutes().toString().padStart(2, '0');
+		return "" + (hours % 12 || 12) + ":" + mm + " " + ampm;
+	};
+
 	// Either a TimeSpan or a number of minutes can be added; they are equivalent.
 	McKathlin.TimeSpan.prototype.add = function(timeSpan) {
 		return this.addMinutes(timeSpan.totalMinutes);
@@ -955,13 +2906,17 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	});
 
 	McKathlin.DayNightCycle.changeTimeTo = function(minutes) {
+		const previousMinutes = $gameSystem.totalMinutes;
 		this._switching = true;
 		$gameSystem.totalMinutes = minutes;
 
 		this.updateTime();
 		this._switching = false;
 
-		$gameMap.onTimeChanged();
+		if (!this._resetting) {
+			this.queueScheduledEvents(previousMinutes, minutes);
+		}
+		$gameMap.onTimeChanged(previousMinutes);
 	};
 
 	// Update all time-based variables and switches.
@@ -973,6 +2928,13 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		$gameVariables.setValue(McKathlin.DayNight.Param.DaysPassedVariable, this.getDays());
 		$gameVariables.setValue(McKathlin.DayNight.Param.CurrentHourVariable, this.getHours());
 		$gameVariables.setValue(McKathlin.DayNight.Param.CurrentMinuteVariable, this.getMinutes());
+
+		const date = this.getCalendarDate();
+		$gameVariables.setValue(McKathlin.DayNight.Param.WeekdayVariable, this.getWeekday());
+		$gameVariables.setValue(McKathlin.DayNight.Param.DayOfMonthVariable, date.dayOfMonth);
+		$gameVariables.setValue(McKathlin.DayNight.Param.MonthVariable, date.month);
+		$gameVariables.setValue(McKathlin.DayNight.Param.YearVariable, date.year);
+		$gameVariables.setValue(McKathlin.DayNight.Param.SeasonVariable, this.getSeason());
 	};
 
 	McKathlin.DayNightCycle.now = function() {
@@ -980,9 +2942,12 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	};
 
 	McKathlin.DayNightCycle.reset = function() {
+		// Going back to the start doesn't run scheduled events on the way.
+		this._resetting = true;
 		McKathlin.DayNightCycle.setTotalMinutes(0);
 		McKathlin.DayNightCycle.setForwardTo(new McKathlin.TimeSpan(
 			0, 0, McKathlin.DayNight.Param.NewGameStartTimeAsMinutes));
+		this._resetting = false;
 	};
 	
 	//=============================================================================
@@ -994,20 +2959,26 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		this.lightingType = presetName;
 		this.isOutside = (this.lightingType == McKathlin.DayNight.Param.OutdoorLightingKeyword);
 		this.mapTone = McKathlin.DayNightCycle.getToneByKeyword(this.lightingType);
-		this.pictureOverlay = McKathlin.DayNightCycle.getPictureOverlayByKeyword(this.lightingType);
+		this.pictureOverlays = McKathlin.DayNightCycle.getPictureOverlaysByKeyword(
+			this.lightingType);
 		$gameScreen.startTint(this.mapTone, duration);
-		$gameScreen.startPictureOverlay(this.pictureOverlay, duration);
+		$gameScreen.startPictureOverlay(this.pictureOverlays, duration);
 	};
 
+	// The keyword may also be a lighting expression,
+	// such as: outside * 50%
 	McKathlin.DayNightCycle.getToneByKeyword = function(keyword) {
 		var tone = null;
 		if (keyword) {
 			keyword = keyword.toLowerCase();
-			if (keyword == McKathlin.DayNight.Param.OutdoorLightingKeyword) {
-				tone = this.getOutsideTone();
-			} else {
-				let preset = McKathlin.DayNight.Param.SimpleLightingPresets[keyword];
-				tone = preset ? preset.tone : null;
+			tone = this.getPresetToneByKeyword(keyword);
+			if (!tone) {
+				let expression = McKathlin.DayNight.parseLightingExpression(keyword);
+				if (expression) {
+					tone = this.evaluateLightingExpression(expression);
+				} else {
+					console.warn("Invalid lighting expression: " + keyword);
+				}
 			}
 		}
 		
@@ -1017,32 +2988,247 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		return tone;
 	};
 
+	// Returns the tone of a single lighting keyword,
+	// or null if no preset has this keyword.
+	McKathlin.DayNightCycle.getPresetToneByKeyword = function(keyword) {
+		if (keyword == McKathlin.DayNight.Param.OutdoorLightingKeyword) {
+			return this.getOutsideTone();
+		}
+		let preset = McKathlin.DayNight.Param.SimpleLightingPresets[keyword];
+		if (preset && preset.isTimeVarying) {
+			return this.getPresetTone(preset);
+		}
+		return preset ? preset.tone : null;
+	};
+
+	// Returns true if this is the keyword of a lighting preset
+	// whose tone changes with the time.
+	McKathlin.DayNight.isTimeVaryingPreset = function(keyword) {
+		if (keyword == McKathlin.DayNight.Param.OutdoorLightingKeyword) {
+			return true;
+		}
+		let preset = McKathlin.DayNight.Param.SimpleLightingPresets[keyword];
+		return !!preset && preset.isTimeVarying;
+	};
+
+	// Returns true if the lighting for this keyword or expression
+	// changes with the time.
+	McKathlin.DayNight.isTimeVaryingKeyword = function(keyword) {
+		if (!keyword) {
+			return false;
+		}
+		keyword = keyword.toLowerCase();
+		if (McKathlin.DayNight.isTimeVaryingPreset(keyword)) {
+			return true;
+		}
+		const expression = McKathlin.DayNight.parseLightingExpression(keyword);
+		return !!expression && expression.some(step =>
+			step.keyword && McKathlin.DayNight.isTimeVaryingPreset(step.keyword));
+	};
+
+	// New method
+	Game_Map.prototype.isLightingTimeVarying = function() {
+		return McKathlin.DayNight.isTimeVaryingKeyword(this.lightingType);
+	};
+
+	//-----------------------------------------------------------------------------
+	// Lighting expressions
+	//-----------------------------------------------------------------------------
+
+	// Parses a lighting expression such as: outside + (-20,-20,0,10)
+	// Returns a list of steps, each with an operator and one of:
+	// a keyword, a tone, or a scale. Returns null if the expression is invalid.
+	McKathlin.DayNight.parseLightingExpression = function(text) {
+		const TERM_REGEX = /^\s*(?:(?:tone\s*)?\(([^)]*)\)|(-?\d+(?:\.\d+)?)(%?)|([^\s+\-*()]+))/i;
+		const OPERATOR_REGEX = /^\s*([+\-*])/;
+		var steps = [];
+		var rest = text;
+		var operator = '+';
+		while (true) {
+			let match = rest.match(TERM_REGEX);
+			if (!match) {
+				return null;
+			}
+			rest = rest.slice(match[0].length);
+
+			let step = { operator: operator };
+			if (match[1] !== undefined) {
+				let values = match[1].split(',').map(value => Number(value));
+				if (values.length < 3 || values.length > 4 || values.some(Number.isNaN)) {
+					return null;
+				}
+				step.tone = [values[0], values[1], values[2], values[3] || 0];
+			} else if (match[2] !== undefined) {
+				step.scale = match[3] ? Number(match[2]) / 100 : Number(match[2]);
+			} else {
+				step.keyword = match[4].toLowerCase();
+			}
+			// Only scales may multiply, and only tones may be added.
+			if (('*' == operator) != (step.scale !== undefined)) {
+				return null;
+			}
+			steps.push(step);
+
+			if (rest.trim().length == 0) {
+				return steps;
+			}
+			match = rest.match(OPERATOR_REGEX);
+			if (!match) {
+				return null;
+			}
+			operator = match[1];
+			rest = rest.slice(match[0].length);
+		}
+	};
+
+	// Works out the tone of a parsed lighting expression, from left to right.
+	McKathlin.DayNightCycle.evaluateLightingExpression = function(steps) {
+		var tone = [0, 0, 0, 0];
+		for (const step of steps) {
+			if ('*' == step.operator) {
+				tone = tone.map(value => value * step.scale);
+				continue;
+			}
+			let stepTone = step.tone;
+			if (step.keyword) {
+				stepTone = this.getPresetToneByKeyword(step.keyword);
+				if (!stepTone) {
+					console.warn("Unknown lighting keyword: " + step.keyword);
+					continue;
+				}
+			}
+			const sign = '-' == step.operator ? -1 : 1;
+			tone = tone.map((value, i) => value + sign * stepTone[i]);
+		}
+		return McKathlin.DayNight.clampTone(tone);
+	};
+
+	// Returns the current tone of a time-varying lighting preset.
+	// A preset with dawn, dusk, or night tones blends between them
+	// in step with the current day's dawn and dusk.
+	McKathlin.DayNightCycle.getPresetTone = function(preset) {
+		var keyframes = preset.tone_keyframes;
+		if (0 == keyframes.length) {
+			const profile = this.getDayProfile();
+			const dayTone = preset.tone || McKathlin.DayNight.DEFAULT_TONE;
+			const nightTone = preset.night_tone || dayTone;
+			keyframes = [
+				{ time: profile.dawnStart, tone: nightTone },
+				{ time: profile.dawnEnd, tone: dayTone },
+				{ time: profile.duskStart, tone: dayTone },
+				{ time: profile.duskEnd % McKathlin.DayNight.MINUTES_PER_DAY,
+					tone: nightTone }
+			];
+			if (preset.dawn_tone) {
+				keyframes.push({ time: (profile.dawnStart + profile.dawnEnd) / 2,
+					tone: preset.dawn_tone });
+			}
+			if (preset.dusk_tone) {
+				keyframes.push({ time: (profile.duskStart + profile.duskEnd) / 2 %
+					McKathlin.DayNight.MINUTES_PER_DAY, tone: preset.dusk_tone });
+			}
+			keyframes.sort((a, b) => a.time - b.time);
+		}
+		return McKathlin.DayNight.blendToneKeyframes(
+			keyframes, this.getMinutesOfDay());
+	};
+
+	// Blends between the keyframes before and after the time of day.
+	// Keyframes wrap around midnight.
+	McKathlin.DayNight.blendToneKeyframes = function(keyframes, time) {
+		const MINUTES_PER_DAY = McKathlin.DayNight.MINUTES_PER_DAY;
+		var previous = keyframes[keyframes.length - 1];
+		var next = keyframes[0];
+		for (const keyframe of keyframes) {
+			if (keyframe.time <= time) {
+				previous = keyframe;
+			} else {
+				next = keyframe;
+				break;
+			}
+		}
+		if (previous == next) {
+			return previous.tone;
+		}
+
+		const span = (next.time - previous.time + MINUTES_PER_DAY) % MINUTES_PER_DAY ||
+			MINUTES_PER_DAY;
+		const elapsed = (time - previous.time + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+		const progress = McKathlin.DayNight.ease(elapsed / span,
+			McKathlin.DayNight.Param.ToneEasing);
+		return previous.tone.map((value, i) =>
+			Math.round(value + (next.tone[i] - value) * progress));
+	};
+
+	// Reshapes progress from 0 to 1 by the given easing type.
+	McKathlin.DayNight.ease = function(progress, easing) {
+		switch (easing) {
+			case 'easeInOut':
+				return progress < 0.5 ?
+					2 * progress * progress :
+					1 - Math.pow(-2 * progress + 2, 2) / 2;
+			default:
+				return progress;
+		}
+	};
+
+	McKathlin.DayNight.tonesEqual = function(toneA, toneB) {
+		if (toneA == toneB) return true;
+		if (!toneA || !toneB) return false;
+		return toneA[0] == toneB[0] && toneA[1] == toneB[1] &&
+			toneA[2] == toneB[2] && toneA[3] == toneB[3];
+	};
+
+	// Keeps red, green, and blue within -255 to 255, and gray within 0 to 255.
+	McKathlin.DayNight.clampTone = function(tone) {
+		return [
+			tone[0].clamp(-255, 255),
+			tone[1].clamp(-255, 255),
+			tone[2].clamp(-255, 255),
+			tone[3].clamp(0, 255)
+		];
+	};
+
 	McKathlin.DayNightCycle.getOutsideTone = function() {
-		var time = this.getMinutesOfDay();
-		if (time < McKathlin.DayNight.Param.DawnStartTimeAsMinutes) {
+		var profile = this.getDayProfile();
+		return McKathlin.DayNight.pickPhaseTone(
+			this.getMinutesOfDay(), profile, profile);
+	};
+
+	// Picks the tone for a time of day, using the day profile's times
+	// and the tone set's dawnTonePhases, daylightTone, duskTonePhases,
+	// and nightTone. If the tone set has toneKeyframes, blends them instead.
+	McKathlin.DayNight.pickPhaseTone = function(time, profile, toneSet) {
+		if (toneSet.toneKeyframes && toneSet.toneKeyframes.length > 0) {
+			return McKathlin.DayNight.blendToneKeyframes(toneSet.toneKeyframes, time);
+		}
+		var phase;
+		if (time < profile.dawnStart) {
 			// night, between midnight and dawn
-			return McKathlin.DayNight.Param.NightTone;
+			return toneSet.nightTone;
 		}
-		else if (time < McKathlin.DayNight.Param.DawnEndTimeAsMinutes) {
+		else if (time < profile.dawnEnd) {
 			// dawn
-			phase = Math.floor((time - McKathlin.DayNight.Param.DawnStartTimeAsMinutes) /
+			phase = Math.floor((time - profile.dawnStart) /
 				McKathlin.DayNight.Param.MinutesPerTonePhase);
-			return McKathlin.DayNight.Param.DawnTonePhases[phase];
+			return toneSet.dawnTonePhases[
+				Math.min(phase, toneSet.dawnTonePhases.length - 1)];
 		}
-		else if (time < McKathlin.DayNight.Param.DuskStartTimeAsMinutes) {
+		else if (time < profile.duskStart) {
 			// daytime light is after dawn and before dusk
-			return McKathlin.DayNight.Param.DaylightTone;
+			return toneSet.daylightTone;
 		}
-		else if (time < McKathlin.DayNight.Param.DuskEndTimeAsMinutes) {
-			phase = Math.floor((time - McKathlin.DayNight.Param.DuskStartTimeAsMinutes) /
+		else if (time < profile.duskEnd) {
+			phase = Math.floor((time - profile.duskStart) /
 				McKathlin.DayNight.Param.MinutesPerTonePhase);
-			return McKathlin.DayNight.Param.DuskTonePhases[phase];
+			return toneSet.duskTonePhases[
+				Math.min(phase, toneSet.duskTonePhases.length - 1)];
 		}
 		else {
 			// night, between dusk and midnight
-			return McKathlin.DayNight.Param.NightTone;
+			return toneSet.nightTone;
 		}
-	}
+	};
 
 	//=============================================================================
 	// Screen Picture Overlays
@@ -1050,15 +3236,73 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	// Picture overlay lookup
 	//-----------------------------------------------------------------------------
 
-	McKathlin.DayNightCycle.getPictureOverlayByKeyword = function(keyword) {
+	// Returns the list of overlays for a lighting keyword.
+	// A lighting expression uses the overlays of its first keyword.
+	McKathlin.DayNightCycle.getPictureOverlaysByKeyword = function(keyword) {
 		if (keyword) {
 			let key = keyword.toLowerCase();
+			if (key != McKathlin.DayNight.Param.OutdoorLightingKeyword &&
+				!McKathlin.DayNight.Param.SimpleLightingPresets[key]) {
+				let expression = McKathlin.DayNight.parseLightingExpression(key);
+				let keywordStep = expression ?
+					expression.find(step => step.keyword) : null;
+				key = keywordStep ? keywordStep.keyword : null;
+			}
+			if (key == McKathlin.DayNight.Param.OutdoorLightingKeyword) {
+				let phaseOverlay = this.getPhaseOverlay();
+				return phaseOverlay ? [phaseOverlay] : [];
+			}
 			let preset = McKathlin.DayNight.Param.SimpleLightingPresets[key];
 			if (preset) {
-				return preset.picture_overlay;
+				return preset.picture_overlays;
 			}
 		}
-		return null;
+		return [];
+	};
+
+	// Returns the outdoor overlay for the current phase of the day,
+	// or null if it has none.
+	McKathlin.DayNightCycle.getPhaseOverlay = function() {
+		const phase = this.getPhaseName();
+		var overlay = null;
+		if ('night' == phase) {
+			const specialNight = this.getSpecialNights(true)[0];
+			overlay = specialNight ? specialNight.pictureOverlay : null;
+		}
+		overlay = overlay || McKathlin.DayNight.Param.PhaseOverlays[phase];
+		if (!overlay || !overlay.opacity_progress ||
+			'none' == overlay.opacity_progress) {
+			return overlay;
+		}
+
+		// Scale the opacity by how far the phase has gone.
+		var progress = this.getPhaseProgress();
+		if ('fall' == overlay.opacity_progress) {
+			progress = 1 - progress;
+		}
+		return Object.assign({}, overlay, {
+			opacity: Math.round(overlay.opacity * progress)
+		});
+	};
+
+	// Returns true if both overlays would look the same.
+	McKathlin.DayNight.overlaysEqual = function(overlay1, overlay2) {
+		if (overlay1 == overlay2) {
+			return true;
+		}
+		return !!overlay1 && !!overlay2 &&
+			overlay1.picture_number == overlay2.picture_number &&
+			overlay1.filename == overlay2.filename &&
+			overlay1.opacity == overlay2.opacity;
+	};
+
+	// Returns true if both lists of overlays would look the same.
+	McKathlin.DayNight.overlayListsEqual = function(list1, list2) {
+		if (!list1 || !list2) {
+			return list1 == list2;
+		}
+		return list1.length == list2.length && list1.every(
+			(overlay, i) => McKathlin.DayNight.overlaysEqual(overlay, list2[i]));
 	};
 
 	//-----------------------------------------------------------------------------
@@ -1074,11 +3318,12 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	};
 
 	McKathlin.DayNight.preLoadPictureOverlays = function() {
-		const presets = Object.values(
-			McKathlin.DayNight.Param.SimpleLightingPresets);
-		for (const preset of presets) {
-			if (preset && preset.picture_overlay && preset.picture_overlay.filename) {
-				ImageManager.loadPicture(preset.picture_overlay.filename);
+		for (const picture of McKathlin.DayNight.getAllPictureOverlays()) {
+			if (picture.filename) {
+				ImageManager.loadPicture(picture.filename);
+			}
+			for (const frameFile of picture.frame_files || []) {
+				ImageManager.loadPicture(frameFile);
 			}
 		}
 	};
@@ -1088,41 +3333,80 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	//-----------------------------------------------------------------------------
 
 	// New method
-	// Start showing the picture overlay.
-	// Its opacity will increase to full over the duration (in frames) given.
-	Game_Screen.prototype.startPictureOverlay = function(picture, duration) {
-		if (!picture || !picture.filename) {
-			this.clearPictureOverlay(duration);
-			return;
+	// Returns the overlays now on the screen.
+	Game_Screen.prototype.overlayPictures = function() {
+		if (!this._overlayPictures) {
+			// Saves from before overlay sets kept just one overlay.
+			this._overlayPictures = this._lastOverlayPicture ?
+				[this._lastOverlayPicture] : [];
+			this._lastOverlayPicture = null;
 		}
-		if (picture == this._lastOverlayPicture) {
-			// Exact same overlay; no need to change.
-			return;
+		return this._overlayPictures;
+	};
+
+	// New method
+	// Start showing the picture overlays: a list of them, a single one, or none.
+	// Their opacity will increase to full over the duration (in frames) given.
+	// Overlays no longer in the set fade out over the same duration.
+	Game_Screen.prototype.startPictureOverlay = function(pictures, duration) {
+		if (!Array.isArray(pictures)) {
+			pictures = pictures ? [pictures] : [];
 		}
+		pictures = pictures.filter((picture) => picture && picture.filename);
+		const lastPictures = this.overlayPictures();
 
-		const INVISIBLE_OPACITY = 0;
-		const SIGMOID_EASING = 3;
-		const pictureId = this.realPictureId(picture.picture_number);
-		
-		if (0 == duration) {
-			// Instant change.
-			if (this._lastOverlayPicture &&
-				this._lastOverlayPicture.picture_number != picture.picture_number) {
-				this.erasePicture(this._lastOverlayPicture.picture_number);
+		// Fade out the old overlays whose picture numbers aren't reused.
+		for (const last of lastPictures) {
+			if (!pictures.some((picture) =>
+				picture.picture_number == last.picture_number)) {
+				this.fadeOutOverlayPicture(last, duration);
 			}
-			this.showPicture(pictureId, picture.filename, picture.origin,
-				picture.x, picture.y, picture.width_percent, picture.height_percent,
-				picture.opacity, picture.blend_mode);
-		} else if (this._lastOverlayPicture &&
-			picture.picture_number == this._lastOverlayPicture.picture_number) {
-			// This overlay has the same picture number as the last one.
-			// If picture file has changed, replace it, but with a warning.
-			if (picture.filename != this._lastOverlayPictureFilename) {
+		}
+
+		// Fade in the new.
+		for (const picture of pictures) {
+			let last = lastPictures.find((lastPicture) =>
+				lastPicture.picture_number == picture.picture_number);
+			this.fadeInOverlayPicture(picture, last, duration);
+		}
+		this._overlayPictures = pictures;
+	};
+
+	// New method
+	// Remove the current picture overlays, if any.
+	// Their opacity will fade to zero over the duration (in frames) given.
+	Game_Screen.prototype.clearPictureOverlay = function(duration) {
+		for (const picture of this.overlayPictures()) {
+			this.fadeOutOverlayPicture(picture, duration);
+		}
+		this._overlayPictures = [];
+	};
+
+	// New method
+	// Shows one overlay, replacing the last overlay with its picture number.
+	Game_Screen.prototype.fadeInOverlayPicture = function(picture, last, duration) {
+		if (picture == last) {
+			// Exact same overlay; no need to change.
+			return;
+		}
+
+		const INVISIBLE_OPACITY = 0;
+		const SIGMOID_EASING = 3;
+		const pictureId = this.realPictureId(picture.picture_number);
+		
+		if (0 == duration) {
+			// Instant change.
+			this.showPicture(pictureId, picture.filename, picture.origin,
+				picture.x, picture.y, picture.width_percent, picture.height_percent,
+				picture.opacity, picture.blend_mode);
+		} else if (last) {
+			// This overlay has the same picture number as the last one.
+			// If picture file has changed, replace it, but with a warning.
+			if (picture.filename != last.filename) {
 				console.warn("Transition of picture overlays assigned to the " +
 					"same picture number will be abrupt.\n" +
 					"To transition gradually, assign them different picture numbers,\n" +
 					"or leave picture number blank for automatic assignment.");
-				let last = this._lastOverlayPicture;
 				this.showPicture(pictureId, picture.filename, last.origin,
 					last.x, last.y, last.width_percent, last.height_percent,
 					last.opacity, last.blend_mode);
@@ -1131,11 +3415,7 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 			this.movePicture(pictureId, picture.origin, picture.x, picture.y,
 				picture.width_percent, picture.height_percent, picture.opacity,
 				picture.blend_mode, duration, SIGMOID_EASING);
-
 		} else {
-			// Different picture numbers. Fade out the old; fade in the new.
-			this.clearPictureOverlay(duration);
-
 			// Start the new overlay at opacity zero.
 			this.showPicture(pictureId, picture.filename, picture.origin,
 				picture.x, picture.y, picture.width_percent, picture.height_percent,
@@ -1146,21 +3426,18 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 				picture.width_percent, picture.height_percent, picture.opacity,
 				picture.blend_mode, duration, SIGMOID_EASING);
 		}
-		this._lastOverlayPicture = picture;
+
+		const gamePicture = this.picture(picture.picture_number);
+		if (gamePicture) {
+			gamePicture.setDayNightOverlay(picture);
+		}
 	};
 
 	// New method
-	// Remove the current picture overlay, if any.
-	// Its opacity will fade to zero over the duration (in frames) given.
-	Game_Screen.prototype.clearPictureOverlay = function(duration) {
-		if (!this._lastOverlayPicture) {
-			// Nothing to clear.
-			return;
-		}
-		const pictureId = this.realPictureId(this._lastOverlayPicture.picture_number);
+	// Fades one overlay to transparent over the duration (in frames) given.
+	Game_Screen.prototype.fadeOutOverlayPicture = function(pic, duration) {
+		const pictureId = this.realPictureId(pic.picture_number);
 		if (duration > 0) {
-			// Fade the picture to transparent.
-			let pic = this._lastOverlayPicture;
 			const INVISIBLE_OPACITY = 0;
 			const SIGMOID_EASING = 3; // slow to fast to slow change
 			// Change picture to transparent (invisible) over the given duration.
@@ -1171,7 +3448,113 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 			// clear instantly
 			this.erasePicture(pictureId);
 		}
-		this._lastOverlayPicture = null;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Picture overlay animation
+	//-----------------------------------------------------------------------------
+
+	// New method
+	// An overlay moved to new settings keeps its place in its animation.
+	Game_Picture.prototype.setDayNightOverlay = function(overlay) {
+		this._dayNightOverlay = overlay;
+		this._dayNightAnimationCount = this._dayNightAnimationCount || 0;
+	};
+
+	// New method
+	Game_Picture.prototype.dayNightOverlay = function() {
+		return this._dayNightOverlay || null;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_Picture_update = Game_Picture.prototype.update;
+	Game_Picture.prototype.update = function() {
+		McKathlin.DayNight.Game_Picture_update.call(this);
+		if (this._dayNightOverlay) {
+			this._dayNightAnimationCount++;
+			this.updateDayNightFrame();
+		}
+	};
+
+	// New method
+	// Cycles through the overlay's animation frames.
+	Game_Picture.prototype.updateDayNightFrame = function() {
+		const overlay = this._dayNightOverlay;
+		if (!overlay.frame_files || 0 == overlay.frame_files.length) {
+			return;
+		}
+		const frameNames = [overlay.filename].concat(overlay.frame_files);
+		const frameIndex = Math.floor(this._dayNightAnimationCount /
+			Math.max(overlay.frame_duration, 1)) % frameNames.length;
+		this._name = frameNames[frameIndex];
+	};
+
+	// New method
+	// Returns how much of its opacity the overlay shows right now.
+	Game_Picture.prototype.dayNightPulseRate = function() {
+		const overlay = this._dayNightOverlay;
+		if (!overlay || !overlay.pulse_percent || !overlay.pulse_period) {
+			return 1;
+		}
+		const wave = (1 - Math.cos(2 * Math.PI *
+			this._dayNightAnimationCount / overlay.pulse_period)) / 2;
+		return 1 - wave * overlay.pulse_percent / 100;
+	};
+
+	// New method
+	// Returns true if the overlay drifts across the screen.
+	Game_Picture.prototype.isDayNightScrolling = function() {
+		const overlay = this._dayNightOverlay;
+		return !!overlay && !!(overlay.scroll_x || overlay.scroll_y);
+	};
+
+	// New method
+	Game_Picture.prototype.dayNightScrollX = function() {
+		return this._dayNightAnimationCount * this._dayNightOverlay.scroll_x;
+	};
+
+	// New method
+	Game_Picture.prototype.dayNightScrollY = function() {
+		return this._dayNightAnimationCount * this._dayNightOverlay.scroll_y;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Sprite_Picture_updateOther = Sprite_Picture.prototype.updateOther;
+	Sprite_Picture.prototype.updateOther = function() {
+		McKathlin.DayNight.Sprite_Picture_updateOther.call(this);
+		const picture = this.picture();
+		this.opacity *= picture.dayNightPulseRate();
+		this.updateDayNightScroll(picture);
+	};
+
+	// New method
+	// A scrolling overlay is tiled to fill the screen.
+	Sprite_Picture.prototype.updateDayNightScroll = function(picture) {
+		var tilingSprite = this._dayNightTilingSprite;
+		if (!picture.isDayNightScrolling() || !this.scale.x || !this.scale.y) {
+			if (tilingSprite && tilingSprite.visible) {
+				// Done scrolling. Draw the whole picture again.
+				tilingSprite.visible = false;
+				if (this.bitmap) {
+					this.setFrame(0, 0, this.bitmap.width, this.bitmap.height);
+				}
+			}
+			return;
+		}
+		if (!tilingSprite) {
+			tilingSprite = new TilingSprite();
+			this._dayNightTilingSprite = tilingSprite;
+			this.addChild(tilingSprite);
+		}
+		tilingSprite.visible = true;
+		tilingSprite.bitmap = this.bitmap;
+		tilingSprite.blendMode = this.blendMode;
+		tilingSprite.move(-this.x / this.scale.x, -this.y / this.scale.y,
+			Graphics.width / this.scale.x, Graphics.height / this.scale.y);
+		tilingSprite.origin.x = picture.dayNightScrollX();
+		tilingSprite.origin.y = picture.dayNightScrollY();
+		// Only the tiles are drawn.
+		this.setFrame(0, 0, 0, 0);
 	};
 	
 	//=============================================================================
@@ -1185,12 +3568,22 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		McKathlin.DayNightCycle.reset();
 	};
 	
+	McKathlin.DayNight.isReservedSwitch = function(switchId) {
+		return switchId > 0 &&
+			McKathlin.DayNight.Param.ReservedSwitches.includes(switchId);
+	};
+
+	McKathlin.DayNight.isReservedVariable = function(variableId) {
+		return variableId > 0 &&
+			McKathlin.DayNight.Param.ReservedVariables.includes(variableId);
+	};
+
 	// Alias method
 	// protects reserved switches from being set outside this plugin.
 	McKathlin.DayNight.Game_Switches_setValue = Game_Switches.prototype.setValue;
 	Game_Switches.prototype.setValue = function(switchId, value) {
 		if (switchId > 0 && !McKathlin.DayNightCycle._switching) {
-			if (McKathlin.DayNight.Param.ReservedSwitches.includes(switchId)) {
+			if (McKathlin.DayNight.isReservedSwitch(switchId)) {
 				throw new Error("Switch " + switchId +
 					" is reserved for use by McKathlin.DayNight plugin," +
 					" and should not be set outside of it."
@@ -1204,7 +3597,7 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	McKathlin.DayNight.Game_Variables_setValue = Game_Variables.prototype.setValue;
 	Game_Variables.prototype.setValue = function(variableId, value) {
 		if (variableId > 0 && !McKathlin.DayNightCycle._switching) {
-			if (McKathlin.DayNight.Param.ReservedVariables.includes(variableId)) {
+			if (McKathlin.DayNight.isReservedVariable(variableId)) {
 				throw new Error("Variable " + variableId +
 					" is reserved for use by McKathlin.DayNight plugin," +
 					" and should not be set outside of it."
@@ -1225,6 +3618,18 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		return simpleRegex.test(note);
 	};
 	
+	// Returns the values of all notetags with the given name, in order.
+	// A notetag with no value is given as true.
+	McKathlin.Core.getNotetagValuesIn = function(note, notetagName) {
+		var values = [];
+		var regex = new RegExp('<' + notetagName + '(?:(?: |: |:)([^>]+))?>', 'gi');
+		var captures;
+		while (captures = regex.exec(note)) {
+			values.push(captures[1] || true);
+		}
+		return values;
+	};
+	
 	McKathlin.Core.getNotetagValueIn = function(note, notetagName) {
 		if (McKathlin.Core.includesSimpleNotetag(note, notetagName)) {
 			return true;
@@ -1239,31 +3644,151 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 		}
 	};
 	
+	// Returns the text of all comments in an event page, one line each.
+	McKathlin.Core.getPageComments = function(page) {
+		const COMMENT_CODE = 108;
+		const COMMENT_CONTINUED_CODE = 408;
+		var lines = [];
+		for (const command of (page ? page.list : [])) {
+			if (COMMENT_CODE == command.code || COMMENT_CONTINUED_CODE == command.code) {
+				lines.push(command.parameters[0]);
+			}
+		}
+		return lines.join('\n');
+	};
+	
 	//=============================================================================
 	// Map Notetags for Day-Night and Lighting
 	//=============================================================================
 	
+	// Gathers the options from all DayNight notetags in the note.
+	// <DayNight: step, realtime> gives the options 'step' and 'realtime'.
+	McKathlin.DayNight.getDayNightOptions = function(note) {
+		var options = [];
+		for (const value of McKathlin.Core.getNotetagValuesIn(note, 'day-?night')) {
+			if (true === value) continue;
+			for (const option of value.split(',')) {
+				if (option.trim()) {
+					options.push(option.trim());
+				}
+			}
+		}
+		return options;
+	};
+
+	// Returns the value of the first DayNight option with the given name,
+	// true if it has no value, or null if there is no such option.
+	McKathlin.DayNight.getDayNightOption = function(note, optionName) {
+		var regex = new RegExp('^' + optionName + '(?: ?[=: ] ?(.+))?$', 'i');
+		for (const option of McKathlin.DayNight.getDayNightOptions(note)) {
+			let captures = option.match(regex);
+			if (captures) {
+				return captures[1] ? captures[1].trim() : true;
+			}
+		}
+		return null;
+	};
+
 	McKathlin.DayNight.getStepNotetag = function(note) {
-		var stepString = McKathlin.Core.getNotetagValueIn(note, 'day-?night');
-		if (!stepString) {
-			// No DayNight notetag found. No minutes per step.
+		var stepValue = McKathlin.DayNight.getDayNightOption(note, 'step');
+		if (!stepValue) {
+			// It's not a step notetag. No minutes per step.
 			return 0;
 		}
-		
-		var captures = stepString.match(/step(?: ?[=: ] ?(\d+))?/i);
+		return McKathlin.DayNight.parseStepValue(stepValue);
+	};
+
+	// Converts the value of a step option, such as "15m",
+	// or true if none was given, into minutes per step.
+	McKathlin.DayNight.parseStepValue = function(stepValue) {
+		var captures = true === stepValue ? null : stepValue.match(/^(\d+)/);
 		if (captures) {
-			// It's a step notetag.
-			if (captures[1]) {
-				// Minutes per step specified.
-				return Number(captures[1]);
+			// Minutes per step specified.
+			return Number(captures[1]);
+		} else {
+			// No amount given. Use the default.
+			return McKathlin.DayNight.Param.MinutesPerStep;
+		}
+	};
+
+	// Returns the step costs in a map's or tileset's note,
+	// by region ID, terrain tag, and vehicle type.
+	// <DayNight region 3: step=20m> costs 20 minutes per step on region 3.
+	McKathlin.DayNight.getStepCostNotetags = function(note) {
+		var stepCosts = { region: {}, terrain: {}, vehicle: {} };
+		var regex = /<day-?night (region|terrain|boat|ship|airship)(?: (\d+))?: ?([^>]+)>/gi;
+		var captures;
+		while (captures = regex.exec(note)) {
+			let kind = captures[1].toLowerCase();
+			let stepValue = McKathlin.DayNight.getDayNightOption(
+				'<DayNight: ' + captures[3] + '>', 'step');
+			if (!stepValue) {
+				console.warn("DayNight " + kind + " notetag has no step option: " +
+					captures[0]);
+				continue;
+			}
+			let minutes = McKathlin.DayNight.parseStepValue(stepValue);
+			if ('region' == kind || 'terrain' == kind) {
+				if (!captures[2]) {
+					console.warn("DayNight " + kind + " notetag has no ID: " + captures[0]);
+					continue;
+				}
+				stepCosts[kind][Number(captures[2])] = minutes;
 			} else {
-				// No amount given. Use the default.
-				return McKathlin.DayNight.Param.MinutesPerStep;
+				stepCosts.vehicle[kind] = minutes;
 			}
-		} else {
-			// It's not a step notetag. No minutes per step.
+		}
+		return stepCosts;
+	};
+
+	// Returns the real-time rate for a map with the given note,
+	// or null if time should not advance in real time there.
+	McKathlin.DayNight.getRealTimeNotetag = function(note) {
+		var rateValue = McKathlin.DayNight.getDayNightOption(note, 'real-?time');
+		if (!rateValue) {
+			// No realtime notetag. Use the parameter if there's no step notetag.
+			if (McKathlin.DayNight.Param.RealTimeClock &&
+				!McKathlin.DayNight.getDayNightOption(note, 'step')) {
+				return McKathlin.DayNight.Param.RealTimeRate;
+			}
+			return null;
+		} else if (true === rateValue) {
+			// No rate given. Use the default.
+			return McKathlin.DayNight.Param.RealTimeRate;
+		} else if (/^off$/i.test(rateValue)) {
+			return null;
+		}
+
+		var rate = McKathlin.DayNight.parseRealTimeRate(rateValue);
+		if (!rate) {
+			console.warn("Invalid real-time rate in DayNight notetag: " + rateValue);
+		}
+		return rate;
+	};
+	
+	// Returns the percent of normal speed for a map with the given note,
+	// 0 if time is frozen there, or 100 if no speed is given.
+	McKathlin.DayNight.getSpeedNotetag = function(note) {
+		if (McKathlin.DayNight.getDayNightOption(note, 'frozen')) {
 			return 0;
 		}
+		var speedValue = McKathlin.DayNight.getDayNightOption(note, 'speed');
+		if (!speedValue) {
+			return 100;
+		}
+		var speed = McKathlin.DayNight.parsePercent(speedValue);
+		if (null === speed) {
+			console.warn("Invalid speed in DayNight notetag: " + speedValue);
+			return 100;
+		}
+		return speed;
+	};
+
+	// Converts a string such as "50%" or "50" into a number,
+	// or returns null if it is not a percent.
+	McKathlin.DayNight.parsePercent = function(percentString) {
+		var captures = String(percentString).trim().match(/^(\d+(?:\.\d+)?) ?%?$/);
+		return captures ? Number(captures[1]) : null;
 	};
 	
 	McKathlin.DayNight.getLightingNotetag = function(note) {
@@ -1274,15 +3799,30 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	
 	// New method
 	Game_Map.prototype.onTimeChanged = function() {
-		if (!this.isOutside) return;
+		this.updateEventSchedules();
+		this.updateEventConditions();
+		if (!this.isLightingTimeVarying()) return;
+
+		this.updatePictureOverlay(McKathlin.DayNight.Param.ToneFadeDuration);
 		
-		var newTone = McKathlin.DayNightCycle.getOutsideTone();
-		if (newTone == this.mapTone) return;
+		var newTone = McKathlin.DayNightCycle.getToneByKeyword(this.lightingType);
+		if (McKathlin.DayNight.tonesEqual(newTone, this.mapTone)) return;
 		
 		this.mapTone = newTone;
 		$gameScreen.startTint(this.mapTone, McKathlin.DayNight.Param.ToneFadeDuration);
 	};
 	
+	// New method
+	// Crossfades to the current phase's overlays, if they have changed.
+	Game_Map.prototype.updatePictureOverlay = function(duration) {
+		const overlays = McKathlin.DayNightCycle.getPictureOverlaysByKeyword(
+			this.lightingType);
+		if (McKathlin.DayNight.overlayListsEqual(overlays, this.pictureOverlays)) return;
+
+		this.pictureOverlays = overlays;
+		$gameScreen.startPictureOverlay(this.pictureOverlays, duration);
+	};
+	
 	// Alias method
 	McKathlin.DayNight.Game_Map_setup = Game_Map.prototype.setup;
 	Game_Map.prototype.setup = function(mapId) {
@@ -1290,10 +3830,15 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 
 		const note = $dataMap.note || "";
 		this.minutesPerStep = McKathlin.DayNight.getStepNotetag(note);
+		this.realTimeRate = McKathlin.DayNight.getRealTimeNotetag(note);
+		this.timeSpeed = McKathlin.DayNight.getSpeedNotetag(note);
+		this.refreshStepCosts();
 
 		const lightingType = McKathlin.DayNight.getLightingNotetag(note);
 		const INSTANT_DURATION = 0;
 		this.applyLightingPreset(lightingType, INSTANT_DURATION);
+
+		this.placeEventsBySchedule();
 	};
 	
 	//=============================================================================
@@ -1305,252 +3850,2823 @@ McKathlin.DayNight = McKathlin.DayNight || {};
 	Game_Party.prototype.increaseSteps = function() {
 		McKathlin.DayNight.Game_Party_increaseSteps.call(this);
 		if ($gameMap && $gameMap.minutesPerStep > 0) {
-			McKathlin.DayNightCycle.addMinutes($gameMap.minutesPerStep);
+			McKathlin.DayNightCycle.addScaledMinutes($gamePlayer.dayNightStepMinutes());
 		}
 	};
-	
-	//=============================================================================
-	// Plugin Commands
-	//=============================================================================
-	
-	// Alias method
-	McKathlin.DayNight.Game_Interpreter_pluginCommand =
-		Game_Interpreter.prototype.pluginCommand;
-	Game_Interpreter.prototype.pluginCommand = function(command, args) {
-		// Check for previously defined plugin commands first.
-		McKathlin.DayNight.Game_Interpreter_pluginCommand.call(
-			this, command, args);
 
-		if (/^day-?night$/i.test(command) == false) {
-			return; // Not a DayNight command. Nothing more to do.
+	// Alias method
+	// The party doesn't count steps taken in a vehicle,
+	// but time still passes for them.
+	McKathlin.DayNight.Game_Player_increaseSteps = Game_Player.prototype.increaseSteps;
+	Game_Player.prototype.increaseSteps = function() {
+		McKathlin.DayNight.Game_Player_increaseSteps.call(this);
+		if (this.isInVehicle() && $gameMap.minutesPerStep > 0) {
+			McKathlin.DayNightCycle.addScaledMinutes(this.dayNightStepMinutes());
 		}
+	};
 
-		if (args.length == 0) {
-			console.warn("Incomplete DayNight plugin command");
-			return;
-		}
-		
-		let actionWord = args[0].toLowerCase();
-		let nextWord = args.length > 1 ? args[1].toLowerCase() : '';
+	// New method
+	// Combines the step costs of the map and its tileset.
+	// The map's own costs come first.
+	Game_Map.prototype.refreshStepCosts = function() {
+		const tileset = this.tileset();
+		const tilesetCosts = McKathlin.DayNight.getStepCostNotetags(
+			tileset ? tileset.note : "");
+		const mapCosts = McKathlin.DayNight.getStepCostNotetags($dataMap.note || "");
+		this.stepCosts = {
+			region: Object.assign(tilesetCosts.region, mapCosts.region),
+			terrain: Object.assign(tilesetCosts.terrain, mapCosts.terrain),
+			vehicle: Object.assign(tilesetCosts.vehicle, mapCosts.vehicle)
+		};
+	};
 
-		// Check if it's a lighting command.
-		if (actionWord.includes('light') || nextWord.startsWith('light')) {
-			let duration = 0;
-			if (args.length > 0) {
-				duration = Number.parseInt(args[args.length - 1]);
-			}
+	// Alias method
+	McKathlin.DayNight.Game_Map_changeTileset = Game_Map.prototype.changeTileset;
+	Game_Map.prototype.changeTileset = function(tilesetId) {
+		McKathlin.DayNight.Game_Map_changeTileset.call(this, tilesetId);
+		this.refreshStepCosts();
+	};
 
-			if (actionWord.startsWith('reset')) {
-				// Reset Lighting
-				if (Number.isNaN(duration)) {
-					duration = 0;
-				}
-				return McKathlin.DayNight.commandResetLighting(duration);
-			} else {
-				// Use Lighting Preset
-				let presetName = null;
-				if (Number.isNaN(duration) || args.length <= 1) {
-					duration = 0;
-					presetName = args[args.length - 1];
-				} else {
-					presetName = args[args.length - 2];
-				}
-				return McKathlin.DayNight.commandUseLightingPreset(
-					presetName, duration);
+	// New method
+	// Returns the minutes that pass for a step on the given tile,
+	// or in the given vehicle.
+	Game_Map.prototype.dayNightStepMinutes = function(x, y, vehicleType) {
+		const stepCosts = this.stepCosts || { region: {}, terrain: {}, vehicle: {} };
+		if (vehicleType) {
+			if (undefined !== stepCosts.vehicle[vehicleType]) {
+				return stepCosts.vehicle[vehicleType];
 			}
+			const paramMinutes = McKathlin.DayNight.Param.VehicleMinutesPerStep[vehicleType];
+			return null === paramMinutes ? this.minutesPerStep : paramMinutes;
 		}
 
-		// A DayNight command not related to lighting is a time command.
-		const argIndex = nextWord == 'time' ? 2 : 1;
-		const timeArg = args.slice(argIndex).join(' ');
-		if (actionWord.startsWith('set')) {
-			// Set Time
-			return McKathlin.DayNight.commandSetTime(timeArg);
-		} else if (actionWord.startsWith('add')) {
-			// Add Time
-			return McKathlin.DayNight.commandAddTime(timeArg);
-		} else if (actionWord.startsWith('reset')) {
-			// Reset Time
-			return McKathlin.DayNight.commandResetTime();
-		} else {
-			// Unknown Command
-			console.warn(
-				"Unrecognized DayNight plugin command:",
-				command,
-				args.join(' '),
-			);
+		const regionId = this.regionId(x, y);
+		if (regionId > 0 && undefined !== stepCosts.region[regionId]) {
+			return stepCosts.region[regionId];
 		}
+		const terrainTag = this.terrainTag(x, y);
+		if (terrainTag > 0 && undefined !== stepCosts.terrain[terrainTag]) {
+			return stepCosts.terrain[terrainTag];
+		}
+		return this.minutesPerStep;
 	};
 
-	//-- Set Time --
-	McKathlin.DayNight.commandSetTime = function(timeStr) {
-		var time = McKathlin.DayNight.parseTimeOfDay(timeStr);
-		McKathlin.DayNightCycle.setForwardTo(time);
+	// New method
+	// Returns the minutes that pass for the step the player just took.
+	Game_Player.prototype.dayNightStepMinutes = function() {
+		var minutes = $gameMap.dayNightStepMinutes(
+			this.x, this.y, this.dayNightVehicleType());
+		if (this.isDashing()) {
+			minutes *= McKathlin.DayNight.Param.DashStepMultiplier / 100;
+		}
+		return minutes;
 	};
-	
-	//-- Add Time --
-	McKathlin.DayNight.commandAddTime = function(timeSpanStr) {
-		var timeSpan = McKathlin.DayNight.parseTimeSpan(timeSpanStr);
-		McKathlin.DayNightCycle.add(timeSpan);
+
+	// New method
+	Game_Player.prototype.dayNightVehicleType = function() {
+		if (this.isInBoat()) {
+			return 'boat';
+		} else if (this.isInShip()) {
+			return 'ship';
+		} else if (this.isInAirship()) {
+			return 'airship';
+		}
+		return null;
 	};
 	
-	//-- Reset Time --
-	McKathlin.DayNight.commandResetTime = function() {
-		McKathlin.DayNightCycle.reset();
+	//=============================================================================
+	// Real-Time Clock
+	//=============================================================================
+
+	// Alias method
+	McKathlin.DayNight.Scene_Map_update = Scene_Map.prototype.update;
+	Scene_Map.prototype.update = function() {
+		McKathlin.DayNight.Scene_Map_update.call(this);
+		if (this.isRealTimeClockRunning()) {
+			McKathlin.DayNightCycle.updateRealTime($gameMap.realTimeRate);
+		}
 	};
-	
-	//-- Reset Lighting --
-	McKathlin.DayNight.commandResetLighting = function(duration) {
-		const presetName = McKathlin.DayNight.getLightingNotetag($dataMap.note);
-		$gameMap.applyLightingPreset(presetName, duration);
+
+	// New method
+	// Menus and battles are separate scenes, so time already stands still
+	// during them. Messages and transfers are checked here.
+	Scene_Map.prototype.isRealTimeClockRunning = function() {
+		return !!$gameMap.realTimeRate &&
+			this.isActive() &&
+			!SceneManager.isSceneChanging() &&
+			!$gameMessage.isBusy() &&
+			!$gamePlayer.isTransferring() &&
+			!McKathlin.DayNightCycle.isTimePaused();
 	};
-	
-	//-- Use Lighting Preset --
-	McKathlin.DayNight.commandUseLightingPreset = function(presetName, duration) {
-		if (presetName) {
-			$gameMap.applyLightingPreset(presetName, duration || 0);
-		} else {
-			console.warn("Use Lighting Preset: no preset name given!");
+
+	McKathlin.DayNightCycle.isTimePaused = function() {
+		return $gameSwitches.value(McKathlin.DayNight.Param.TimePausedSwitch);
+	};
+
+	// Counts one frame of real time,
+	// and advances the clock whenever enough frames have passed.
+	McKathlin.DayNightCycle.updateRealTime = function(rate) {
+		$gameSystem.realTimeFrames = ($gameSystem.realTimeFrames || 0) + 1;
+		if ($gameSystem.realTimeFrames >= rate.frames) {
+			$gameSystem.realTimeFrames = 0;
+			this.addScaledMinutes(rate.minutes);
 		}
 	};
 
-	//-----------------------------------------------------------------------------
-	// Time parsing static helpers
-	//-----------------------------------------------------------------------------	
-	McKathlin.DayNight.parseTimeOfDay = function(timeString) {
-		var match = timeString.match(/(\d{1,2}):(\d{2}) ?(?:([ap])m?)?/i);
-		if (!match) {
-			throw new Error('Invalid time-of-day string: ' + timeString);
+	//=============================================================================
+	// Time Speed
+	//=============================================================================
+
+	// Returns the percent of normal speed time passes at now,
+	// or 0 if time is frozen.
+	McKathlin.DayNightCycle.getTimeSpeed = function() {
+		if ($gameSwitches.value(McKathlin.DayNight.Param.FreezeTimeSwitch)) {
+			return 0;
 		}
-		var hours = Number(match[1]);
-		var minutes = Number(match[2]);
-		if (match[3]) { // AM or PM suffix
-			if ('P' == match[3].toUpperCase()) { // PM
-				if (12 != hours) { // 12:XX PM == 12:XX military time.
-					hours += 12; // e.g. 7:15 PM == 19:15 military time.
-				}
-			}
-			else { // AM or military time
-				if ('A' == match[3].toUpperCase() && 12 == hours) {
-					hours = 0; // 12:XX AM == 00:XX military time.
+		var speed = 100;
+		const variableSpeed = $gameVariables.value(
+			McKathlin.DayNight.Param.TimeSpeedVariable);
+		if (variableSpeed > 0) {
+			speed = variableSpeed;
+		}
+		if ($gameMap && undefined !== $gameMap.timeSpeed) {
+			speed *= $gameMap.timeSpeed / 100;
+		}
+		const stack = $gameSystem.timeSpeedStack || [];
+		if (stack.length > 0) {
+			speed *= stack[stack.length - 1] / 100;
+		}
+		return speed;
+	};
+
+	// Advances the clock by the given minutes at the current time speed.
+	// Parts of a minute are kept until they add up to a whole minute.
+	McKathlin.DayNightCycle.addScaledMinutes = function(minutes) {
+		const speed = this.getTimeSpeed();
+		if (speed <= 0) {
+			return;
+		}
+		const scaledMinutes = minutes * speed / 100 +
+			($gameSystem.timeSpeedRemainder || 0);
+		const wholeMinutes = Math.floor(scaledMinutes);
+		$gameSystem.timeSpeedRemainder = scaledMinutes - wholeMinutes;
+		if (wholeMinutes > 0) {
+			this.addMinutes(wholeMinutes);
+		}
+	};
+
+	McKathlin.DayNightCycle.pushTimeSpeed = function(speed) {
+		$gameSystem.timeSpeedStack = $gameSystem.timeSpeedStack || [];
+		$gameSystem.timeSpeedStack.push(speed);
+	};
+
+	McKathlin.DayNightCycle.popTimeSpeed = function() {
+		if (!$gameSystem.timeSpeedStack || !$gameSystem.timeSpeedStack.length) {
+			console.warn("DayNight Pop Time Speed has no pushed speed to pop.");
+			return;
+		}
+		$gameSystem.timeSpeedStack.pop();
+	};
+
+	//=============================================================================
+	// Scheduled Common Events
+	//=============================================================================
+
+	// Returns schedules from the parameters and from plugin commands.
+	McKathlin.DayNightCycle.getSchedules = function() {
+		return McKathlin.DayNight.Param.ScheduledEvents.concat(
+			$gameSystem.dayNightSchedules || []);
+	};
+
+	McKathlin.DayNightCycle.addSchedule = function(schedule) {
+		$gameSystem.dayNightSchedules = $gameSystem.dayNightSchedules || [];
+		$gameSystem.dayNightSchedules.push(schedule);
+	};
+
+	// Removes schedules added by plugin command for the given common event.
+	McKathlin.DayNightCycle.removeSchedules = function(commonEventId) {
+		if ($gameSystem.dayNightSchedules) {
+			$gameSystem.dayNightSchedules = $gameSystem.dayNightSchedules.filter(
+				(schedule) => schedule.commonEventId != commonEventId);
+		}
+	};
+
+	// Queues the common events of all schedules passed
+	// from just after fromMinutes up to and including toMinutes.
+	McKathlin.DayNightCycle.queueScheduledEvents = function(fromMinutes, toMinutes) {
+		if (!(toMinutes > fromMinutes)) {
+			// Time stood still or went backward. Nothing was passed.
+			return;
+		}
+		const MINUTES_PER_DAY = McKathlin.DayNight.MINUTES_PER_DAY;
+		const firstDay = Math.floor(fromMinutes / MINUTES_PER_DAY);
+		const lastDay = Math.floor(toMinutes / MINUTES_PER_DAY);
+		var occurrences = [];
+		for (const schedule of this.getSchedules()) {
+			for (var day = firstDay; day <= lastDay; day++) {
+				let time = day * MINUTES_PER_DAY + schedule.minutesOfDay;
+				if (time <= fromMinutes || time > toMinutes ||
+					!McKathlin.DayNight.dayFilterIncludes(schedule.dayFilter, day)) {
+					continue;
+				}
+				occurrences.push({ time: time, commonEventId: schedule.commonEventId });
+				if ('each' != schedule.catchUp) {
+					break;
 				}
 			}
 		}
-		return new McKathlin.TimeSpan(0, hours, minutes);
+
+		// Run common events in the order their times came.
+		occurrences.sort((a, b) => a.time - b.time);
+		for (const occurrence of occurrences) {
+			McKathlin.DayNight.queueCommonEvent(occurrence.commonEventId);
+		}
 	};
 
-	McKathlin.DayNight.parseTimeSpan = function(timeSpanString) {
-		var days = 0;
-		var hours = 0;
-		var minutes = 0;
-		var match;
-		if (match = timeSpanString.match(/(\d+) ?d/i)) {
-			days = Number(match[1]);
+	McKathlin.DayNight.dayFilterIncludes = function(dayFilter, day) {
+		if (!dayFilter) {
+			return true;
 		}
-		if (match = timeSpanString.match(/(\d+) ?h/i)) {
-			hours = Number(match[1]);
+		return dayFilter.days.includes(day) ||
+			dayFilter.weekdays.includes(new McKathlin.TimeSpan(day).getWeekday());
+	};
+
+	// Reserves the common event, or queues it to be reserved
+	// after the common events reserved before it.
+	McKathlin.DayNight.queueCommonEvent = function(commonEventId) {
+		if (!commonEventId) {
+			return;
 		}
-		if (match = timeSpanString.match(/(\d+) ?m/i)) {
-			minutes = Number(match[1]);
+		if ($gameTemp.isCommonEventReserved()) {
+			// The queue is kept in the save file, so it isn't lost
+			// if the player saves before the queued events run.
+			$gameSystem.dayNightEventQueue = $gameSystem.dayNightEventQueue || [];
+			$gameSystem.dayNightEventQueue.push(commonEventId);
+		} else {
+			$gameTemp.reserveCommonEvent(commonEventId);
 		}
-		return new McKathlin.TimeSpan(days, hours, minutes);
+	};
+
+	// New method
+	Game_Temp.prototype.reserveQueuedCommonEvent = function() {
+		const queue = $gameSystem.dayNightEventQueue;
+		if (queue && queue.length > 0) {
+			this.reserveCommonEvent(queue.shift());
+		}
+	};
+
+	// Alias method
+	// Reserves the next queued common event once the map is free to run it.
+	// Until then it stays in the queue, which is saved.
+	McKathlin.DayNight.Game_Map_setupStartingEvent =
+		Game_Map.prototype.setupStartingEvent;
+	Game_Map.prototype.setupStartingEvent = function() {
+		if (!$gameTemp.isCommonEventReserved()) {
+			$gameTemp.reserveQueuedCommonEvent();
+		}
+		return McKathlin.DayNight.Game_Map_setupStartingEvent.call(this);
 	};
 
 	//=============================================================================
-	// Bloodmoon features
+	// NPC Schedules
 	//=============================================================================
+	// Schedule comment tags
+	//-----------------------------------------------------------------------------
 
-	if (McKathlin.DayNight.Param.EnableBloodmoon) {
-		//-------------------------------------------------------------------------
-		// Moon phase calculation helps
-		//-------------------------------------------------------------------------
-		McKathlin.DayNight.Param.MoonPhaseIndex =
-			McKathlin.DayNight.Param.NightsBeforeFirstBloodmoon %
-				McKathlin.DayNight.Param.DaysInMoonCycle;
+	// Returns the schedule entries in an event page's comments,
+	// sorted by time of day.
+	McKathlin.DayNight.getPageSchedule = function(page) {
+		var schedule = [];
+		var comments = McKathlin.Core.getPageComments(page);
+		var regex = /<schedule (\d{1,2}:\d{2}(?: ?[ap]m?)?)([^>]*)>/gi;
+		var match;
+		while (match = regex.exec(comments)) {
+			let entry = {
+				minutesOfDay: McKathlin.DayNight.parseTimeOfDay(match[1]).getMinutesOfDay(),
+				x: null,
+				y: null,
+				direction: 0,
+				hide: false
+			};
+			let options = match[2];
+			let captures;
+			if (captures = options.match(/\bx ?= ?(\d+)/i)) {
+				entry.x = Number(captures[1]);
+			}
+			if (captures = options.match(/\by ?= ?(\d+)/i)) {
+				entry.y = Number(captures[1]);
+			}
+			if (captures = options.match(/\bdir(?:ection)? ?= ?([2468])/i)) {
+				entry.direction = Number(captures[1]);
+			}
+			entry.hide = /\bhide\b/i.test(options);
+			schedule.push(entry);
+		}
+		return schedule.sort((a, b) => a.minutesOfDay - b.minutesOfDay);
+	};
 
-		McKathlin.TimeSpan.prototype.isBloodmoonNight = function(isForTones=false) {
-			return this.isNight() && this.isBloodmoonPhase(isForTones);
-		};
+	//-----------------------------------------------------------------------------
+	// Schedule following
+	//-----------------------------------------------------------------------------
 
-		McKathlin.TimeSpan.prototype.isBloodmoonPhase = function(isForTones=false) {
-			return this.getMoonPhase(isForTones) == 0;
-		};
+	// New method
+	Game_Map.prototype.placeEventsBySchedule = function() {
+		for (const event of this.events()) {
+			event.placeBySchedule();
+		}
+	};
+
+	// New method
+	// Sends each scheduled event on its way if its next scheduled time came.
+	Game_Map.prototype.updateEventSchedules = function() {
+		for (const event of this.events()) {
+			event.updateSchedule();
+		}
+	};
 
-		McKathlin.TimeSpan.prototype.getMoonPhase = function(isForTones=false) {
-			const cutoffTime = isForTones ?
-				McKathlin.DayNight.Param.MiddayAsMinutes :
-				McKathlin.DayNight.Param.DayStartTimeAsMinutes;
-			var nightsPassed = this.getDays();
-			if (this.getMinutesOfDay() < cutoffTime) {
-				nightsPassed -= 1;
+	// Alias method
+	McKathlin.DayNight.Game_Event_setupPage = Game_Event.prototype.setupPage;
+	Game_Event.prototype.setupPage = function() {
+		McKathlin.DayNight.Game_Event_setupPage.call(this);
+		const oldSchedule = this._npcSchedule;
+		this._npcSchedule = McKathlin.DayNight.getPageSchedule(this.page());
+		if (0 == this._npcSchedule.length) {
+			this._scheduleIndex = -1;
+			this._scheduleDestination = null;
+			this._scheduleHidden = false;
+		} else if (this._scheduleIndex < 0 || undefined === this._scheduleIndex ||
+			JSON.stringify(oldSchedule) != JSON.stringify(this._npcSchedule)) {
+			// An index into another page's schedule would point to the wrong entry.
+			this._scheduleIndex = this.currentScheduleIndex();
+			this._scheduleDestination = null;
+		}
+	};
+
+	// New method
+	// Returns the index of the schedule entry in effect right now,
+	// or -1 if this event has no schedule.
+	Game_Event.prototype.currentScheduleIndex = function() {
+		const schedule = this._npcSchedule || [];
+		if (0 == schedule.length) {
+			return -1;
+		}
+		const time = McKathlin.DayNightCycle.getMinutesOfDay();
+		// Before the first entry of the day, the last entry is still in effect.
+		var index = schedule.length - 1;
+		for (var i = 0; i < schedule.length; i++) {
+			if (schedule[i].minutesOfDay <= time) {
+				index = i;
 			}
-			if (nightsPassed < McKathlin.DayNight.Param.NightsBeforeFirstBloodmoon) {
-				return -1;
+		}
+		return index;
+	};
+
+	// New method
+	// Puts this event right where its schedule says it should be now.
+	Game_Event.prototype.placeBySchedule = function() {
+		this._scheduleIndex = this.currentScheduleIndex();
+		this._scheduleDestination = null;
+		if (this._scheduleIndex < 0) {
+			return;
+		}
+		const entry = this._npcSchedule[this._scheduleIndex];
+		if (null !== entry.x && null !== entry.y) {
+			this.locate(entry.x, entry.y);
+		}
+		if (entry.direction) {
+			this.setDirection(entry.direction);
+		}
+		this._scheduleHidden = entry.hide;
+	};
+
+	// How many steps in a row a scheduled event may fail to take
+	// before it gives up walking and goes directly to its destination.
+	McKathlin.DayNight.MAX_SCHEDULE_FAILED_MOVES = 8;
+
+	// New method
+	Game_Event.prototype.updateSchedule = function() {
+		const index = this.currentScheduleIndex();
+		if (index < 0 || index == this._scheduleIndex) {
+			return;
+		}
+		this._scheduleIndex = index;
+		const entry = this._npcSchedule[index];
+		if (null === entry.x || null === entry.y) {
+			// No place to go. Change in place.
+			this._scheduleDestination = null;
+			if (entry.direction) {
+				this.setDirection(entry.direction);
 			}
-			return (McKathlin.DayNight.Param.DaysInMoonCycle + nightsPassed - McKathlin.DayNight.Param.MoonPhaseIndex)
-				% McKathlin.DayNight.Param.DaysInMoonCycle;
-		};
+			this._scheduleHidden = entry.hide;
+		} else {
+			// Come out of hiding, if hidden, and head for the new spot.
+			this._scheduleHidden = false;
+			this._scheduleDestination = entry;
+			this._scheduleFailedMoves = 0;
+		}
+	};
 
-		//-------------------------------------------------------------------------
-		// Switch setting
-		//-------------------------------------------------------------------------
+	// Alias method
+	// A scheduled event on its way somewhere walks there
+	// instead of following its usual movement.
+	McKathlin.DayNight.Game_Event_updateSelfMovement =
+		Game_Event.prototype.updateSelfMovement;
+	Game_Event.prototype.updateSelfMovement = function() {
+		if (this._scheduleDestination && !this._locked) {
+			this.updateScheduleMovement();
+		} else {
+			McKathlin.DayNight.Game_Event_updateSelfMovement.call(this);
+		}
+	};
 
-		// Alias method
-		// Adds Bloodmoon variable and switch setting.
-		McKathlin.DayNightCycle.updateTime_noBloodmoon =
-			McKathlin.DayNightCycle.updateTime;
-		McKathlin.DayNightCycle.updateTime = function() {
-			McKathlin.DayNightCycle.updateTime_noBloodmoon.call(this);
+	// New method
+	Game_Event.prototype.updateScheduleMovement = function() {
+		const destination = this._scheduleDestination;
+		if (this.x == destination.x && this.y == destination.y) {
+			// Arrived.
+			if (destination.direction) {
+				this.setDirection(destination.direction);
+			}
+			this._scheduleHidden = destination.hide;
+			this._scheduleDestination = null;
+			return;
+		}
+		const direction = this.findDirectionTo(destination.x, destination.y);
+		if (direction > 0 && !$gamePlayer.pos(destination.x, destination.y)) {
+			this.moveStraight(direction);
+			if (this.isMovementSucceeded()) {
+				this._scheduleFailedMoves = 0;
+				return;
+			}
+			this._scheduleFailedMoves = (this._scheduleFailedMoves || 0) + 1;
+			if (this._scheduleFailedMoves < McKathlin.DayNight.MAX_SCHEDULE_FAILED_MOVES) {
+				return;
+			}
+		}
+		// No way there, or the player is standing there. Go directly.
+		this._scheduleFailedMoves = 0;
+		this.locate(destination.x, destination.y);
+	};
 
-			const moonPhase = this.getMoonPhase();
-			const isBloodmoon = 0 == moonPhase;
-			const isDay = this.isDaytime();
-
-			$gameVariables.setValue(
-				McKathlin.DayNight.Param.MoonPhaseVariable, moonPhase);
-			$gameSwitches.setValue(
-				McKathlin.DayNight.Param.BloodmoonPhaseSwitch, isBloodmoon);
-			$gameSwitches.setValue(
-				McKathlin.DayNight.Param.BloodmoonNightSwitch, isBloodmoon && !isDay);
-		};
+	// Alias method
+	McKathlin.DayNight.Game_Event_isTransparent = Game_Event.prototype.isTransparent;
+	Game_Event.prototype.isTransparent = function() {
+		return this._scheduleHidden ||
+			McKathlin.DayNight.Game_Event_isTransparent.call(this);
+	};
 
-		//-------------------------------------------------------------------------
-		// Tone finding
-		//-------------------------------------------------------------------------
+	// Alias method
+	McKathlin.DayNight.Game_Event_isThrough = Game_Event.prototype.isThrough;
+	Game_Event.prototype.isThrough = function() {
+		return this._scheduleHidden ||
+			McKathlin.DayNight.Game_Event_isThrough.call(this);
+	};
 
-		// Alias method
-		McKathlin.DayNightCycle.getOutsideTone_noBloodmoon = 
-			McKathlin.DayNightCycle.getOutsideTone;
-		McKathlin.DayNightCycle.getOutsideTone = function() {
-			if (!this.isBloodmoonPhase(true)) {
-				return McKathlin.DayNightCycle.getOutsideTone_noBloodmoon.call(this);
+	// Alias method
+	// A hidden event can't be talked to or touched.
+	McKathlin.DayNight.Game_Event_start = Game_Event.prototype.start;
+	Game_Event.prototype.start = function() {
+		if (this._scheduleHidden) {
+			return;
+		}
+		McKathlin.DayNight.Game_Event_start.call(this);
+	};
+
+	//=============================================================================
+	// Event Page Conditions
+	//=============================================================================
+	// Condition comment tags
+	//-----------------------------------------------------------------------------
+
+	// Returns the condition terms in the comment at the top of the page,
+	// or null if it has no DayNight condition.
+	McKathlin.DayNight.getPageCondition = function(page) {
+		if (undefined === page.dayNightCondition) {
+			const COMMENT_CODE = 108;
+			const COMMENT_CONTINUED_CODE = 408;
+			var lines = [];
+			for (var i = 0; i < page.list.length; i++) {
+				let command = page.list[i];
+				if (COMMENT_CODE == command.code && 0 == i ||
+					COMMENT_CONTINUED_CODE == command.code && i > 0) {
+					lines.push(command.parameters[0]);
+				} else {
+					break;
+				}
+			}
+			let value = McKathlin.Core.getNotetagValueIn(
+				lines.join('\n'), 'day-?night condition');
+			page.dayNightCondition = value && true !== value ?
+				McKathlin.DayNight.parseCondition(value) : null;
+		}
+		return page.dayNightCondition;
+	};
+
+	// Parses a list of conditions such as "night, moonphase 0".
+	McKathlin.DayNight.parseCondition = function(conditionString) {
+		const lowerWeekdayNames = McKathlin.DayNight.Param.WeekdayNames.map(
+			(name) => name.toLowerCase());
+		const lowerSeasonNames = McKathlin.DayNight.Param.Seasons.map(
+			(season) => season.name.toLowerCase());
+		const specialNightKeys = McKathlin.DayNight.Param.SpecialNights.map(
+			(specialNight) => specialNight.key);
+		var terms = [];
+		for (const termString of conditionString.split(',')) {
+			let word = termString.trim().toLowerCase();
+			let match;
+			if (match = word.match(/^(\d{1,2}:\d{2}.*?)\s*-\s*(\d{1,2}:\d{2}.*)$/)) {
+				terms.push({
+					type: 'time',
+					from: McKathlin.DayNight.parseTimeOfDay(match[1]).getMinutesOfDay(),
+					to: McKathlin.DayNight.parseTimeOfDay(match[2]).getMinutesOfDay()
+				});
+			} else if ('day' == word || 'daytime' == word) {
+				terms.push({ type: 'daytime' });
+			} else if ('night' == word) {
+				terms.push({ type: 'night' });
+			} else if ('dawn' == word || 'dusk' == word) {
+				terms.push({ type: 'phase', name: word });
+			} else if ('bloodmoon' == word || specialNightKeys.includes(word)) {
+				terms.push({ type: 'bloodmoon', name: word });
+			} else if (match = word.match(/^moon ?phase ?(-?\d+)$/)) {
+				terms.push({ type: 'moonphase', name: null, value: Number(match[1]) });
+			} else if ((match = word.match(/^(.+?) phase ?(-?\d+)$/)) &&
+				specialNightKeys.includes(match[1])) {
+				terms.push({ type: 'moonphase', name: match[1], value: Number(match[2]) });
+			} else if (lowerWeekdayNames.includes(word)) {
+				terms.push({ type: 'weekday', value: lowerWeekdayNames.indexOf(word) + 1 });
+			} else if (lowerSeasonNames.includes(word)) {
+				terms.push({ type: 'season', value: lowerSeasonNames.indexOf(word) + 1 });
+			} else {
+				console.warn("Unrecognized DayNight condition: " + termString);
+				terms.push({ type: 'unknown' });
+			}
+		}
+		return terms;
+	};
+
+	// Returns true if all of the condition's terms are met right now.
+	McKathlin.DayNight.meetsCondition = function(terms) {
+		const cycle = McKathlin.DayNightCycle;
+		const time = cycle.getMinutesOfDay();
+		for (const term of terms) {
+			let isMet;
+			switch (term.type) {
+				case 'time':
+					isMet = term.from <= term.to ?
+						time >= term.from && time < term.to :
+						time >= term.from || time < term.to; // Range spans midnight.
+					break;
+				case 'daytime':
+					isMet = cycle.isDaytime();
+					break;
+				case 'night':
+					isMet = cycle.isNight();
+					break;
+				case 'phase':
+					isMet = term.name == cycle.getPhaseName();
+					break;
+				case 'bloodmoon':
+					isMet = cycle.isBloodmoonNight(term.name);
+					break;
+				case 'moonphase':
+					isMet = term.value == cycle.getMoonPhase(term.name);
+					break;
+				case 'weekday':
+					isMet = term.value == cycle.getWeekday();
+					break;
+				case 'season':
+					isMet = term.value == cycle.getSeason();
+					break;
+				default:
+					isMet = false;
+					break;
 			}
-			var time = this.getMinutesOfDay();
-			if (time < McKathlin.DayNight.Param.DawnStartTimeAsMinutes) {
-				// night, between midnight and dawn
-				return McKathlin.DayNight.Param.BloodmoonNightTone;
+			if (!isMet) {
+				return false;
 			}
-			else if (time < McKathlin.DayNight.Param.DawnEndTimeAsMinutes) {
-				// dawn
-				phase = Math.floor((time - McKathlin.DayNight.Param.DawnStartTimeAsMinutes) /
-					McKathlin.DayNight.Param.MinutesPerTonePhase);
-				return McKathlin.DayNight.Param.BloodmoonDawnTonePhases[phase];
+		}
+		return true;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Condition checking
+	//-----------------------------------------------------------------------------
+
+	// Alias method
+	McKathlin.DayNight.Game_Event_meetsConditions = Game_Event.prototype.meetsConditions;
+	Game_Event.prototype.meetsConditions = function(page) {
+		if (!McKathlin.DayNight.Game_Event_meetsConditions.call(this, page)) {
+			return false;
+		}
+		const terms = McKathlin.DayNight.getPageCondition(page);
+		return !terms || McKathlin.DayNight.meetsCondition(terms);
+	};
+
+	// New method
+	// Refreshes the map's events if any of their DayNight conditions
+	// has come true or stopped being true.
+	Game_Map.prototype.updateEventConditions = function() {
+		var results = [];
+		for (const event of this.events()) {
+			for (const page of event.event().pages) {
+				let terms = McKathlin.DayNight.getPageCondition(page);
+				if (terms) {
+					results.push(McKathlin.DayNight.meetsCondition(terms) ? 1 : 0);
+				}
 			}
-			else if (time < McKathlin.DayNight.Param.DuskStartTimeAsMinutes) {
-				// daytime light is after dawn and before dusk
-				return McKathlin.DayNight.Param.DaylightTone;
+		}
+		const resultKey = results.join('');
+		if (resultKey != this._dayNightConditionKey) {
+			this._dayNightConditionKey = resultKey;
+			this.requestRefresh();
+		}
+	};
+
+	//=============================================================================
+	// Battle Lighting and Battlebacks
+	//=============================================================================
+
+	// Returns the tone for the battle about to start,
+	// or null to leave the screen tone as it is.
+	McKathlin.DayNightCycle.getBattleTone = function() {
+		if (DataManager.isBattleTest()) {
+			return null;
+		}
+		switch (McKathlin.DayNight.Param.BattleToneMode) {
+			case 'map':
+				return this.getToneByKeyword($gameMap.lightingType);
+			case 'night':
+				if ($gameMap.isLightingTimeVarying() && this.isNight()) {
+					return McKathlin.DayNight.Param.BattleNightTone ||
+						McKathlin.DayNight.DEFAULT_TONE;
+				}
+				return McKathlin.DayNight.DEFAULT_TONE;
+			default:
+				return null;
+		}
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_Screen_onBattleStart = Game_Screen.prototype.onBattleStart;
+	Game_Screen.prototype.onBattleStart = function() {
+		McKathlin.DayNight.Game_Screen_onBattleStart.call(this);
+		const battleTone = McKathlin.DayNightCycle.getBattleTone();
+		if (battleTone) {
+			this._toneBeforeBattle = {
+				tone: this._tone.clone(),
+				target: this._toneTarget.clone(),
+				duration: this._toneDuration
+			};
+			this.startTint(battleTone, 0);
+		}
+	};
+
+	// New method
+	Game_Screen.prototype.restoreToneAfterBattle = function() {
+		if (!this._toneBeforeBattle) {
+			return;
+		}
+		const saved = this._toneBeforeBattle;
+		this._toneBeforeBattle = null;
+		this.startTint(saved.target, saved.duration);
+		this._tone = saved.tone;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Scene_Battle_terminate = Scene_Battle.prototype.terminate;
+	Scene_Battle.prototype.terminate = function() {
+		McKathlin.DayNight.Scene_Battle_terminate.call(this);
+		$gameScreen.restoreToneAfterBattle();
+	};
+
+	// Returns the words for the current time that timed notetags may use,
+	// most specific first: the names of tonight's special nights by priority,
+	// the phase of the day, then day or night.
+	McKathlin.DayNight.getCurrentTimeWords = function() {
+		const cycle = McKathlin.DayNightCycle;
+		var words = [cycle.getPhaseName()];
+		const dayOrNight = cycle.isNight() ? 'night' : 'day';
+		if (!words.includes(dayOrNight)) {
+			words.push(dayOrNight);
+		}
+		if (cycle.isNight()) {
+			const specialNightKeys = cycle.getSpecialNights().map(
+				(specialNight) => specialNight.key);
+			words = specialNightKeys.concat(words);
+		}
+		return words;
+	};
+
+	// Returns the name of the battleback image for this layer (1 or 2)
+	// that the map's notetags give for the current time,
+	// or null if the map has none for now.
+	McKathlin.DayNight.getTimedBattleback = function(layer) {
+		if (DataManager.isBattleTest() || !$dataMap || !$dataMap.note) {
+			return null;
+		}
+		for (const time of McKathlin.DayNight.getCurrentTimeWords()) {
+			let name = McKathlin.Core.getNotetagValueIn(
+				$dataMap.note, time + ' battleback' + layer);
+			if ('string' == typeof name) {
+				return name.trim();
 			}
-			else if (time < McKathlin.DayNight.Param.DuskEndTimeAsMinutes) {
-				phase = Math.floor((time - McKathlin.DayNight.Param.DuskStartTimeAsMinutes) /
-					McKathlin.DayNight.Param.MinutesPerTonePhase);
-				return McKathlin.DayNight.Param.BloodmoonDuskTonePhases[phase];
+		}
+		return null;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Spriteset_Battle_battleback1Name =
+		Spriteset_Battle.prototype.battleback1Name;
+	Spriteset_Battle.prototype.battleback1Name = function() {
+		return McKathlin.DayNight.getTimedBattleback(1) ||
+			McKathlin.DayNight.Spriteset_Battle_battleback1Name.call(this);
+	};
+
+	// Alias method
+	McKathlin.DayNight.Spriteset_Battle_battleback2Name =
+		Spriteset_Battle.prototype.battleback2Name;
+	Spriteset_Battle.prototype.battleback2Name = function() {
+		return McKathlin.DayNight.getTimedBattleback(2) ||
+			McKathlin.DayNight.Spriteset_Battle_battleback2Name.call(this);
+	};
+
+	//=============================================================================
+	// Timed Encounters
+	//=============================================================================
+
+	McKathlin.DayNight.TIMED_ENCOUNTER_WEIGHT = 10;
+
+	// Returns the encounters that the map's notetags add for the current time,
+	// in the same form as the encounters in $dataMap.encounterList.
+	McKathlin.DayNight.getTimedEncounters = function(note) {
+		var encounters = [];
+		for (const time of McKathlin.DayNight.getCurrentTimeWords()) {
+			const values = McKathlin.Core.getNotetagValuesIn(note, time + ' encounter');
+			for (const value of values) {
+				let match = ('string' == typeof value) &&
+					value.match(/^\s*([\d,\s]+?)(?:\s+in\s+regions?\s+([\d,\s]+))?\s*$/i);
+				if (!match) {
+					console.warn("Invalid DayNight encounter notetag: " + value);
+					continue;
+				}
+				const regionSet = match[2] ?
+					match[2].split(/[,\s]+/).filter(Boolean).map(Number) : [];
+				for (const troopId of match[1].split(/[,\s]+/).filter(Boolean)) {
+					encounters.push({
+						troopId: Number(troopId),
+						weight: McKathlin.DayNight.TIMED_ENCOUNTER_WEIGHT,
+						regionSet: regionSet
+					});
+				}
 			}
-			else {
-				// night, between dusk and midnight
-				return McKathlin.DayNight.Param.BloodmoonNightTone;
+		}
+		return encounters;
+	};
+
+	// Returns how many times as often encounters happen at the current time,
+	// according to the map's encounter rate notetags.
+	McKathlin.DayNight.getEncounterRate = function(note) {
+		return McKathlin.DayNight.getTimedRate(note, 'encounter rate at');
+	};
+
+	// Returns the product of the percentages in notetags such as
+	// <encounter rate at night: 150%> that apply at the current time.
+	McKathlin.DayNight.getTimedRate = function(note, notetagName) {
+		var rate = 1;
+		for (const time of McKathlin.DayNight.getCurrentTimeWords()) {
+			const value = McKathlin.Core.getNotetagValueIn(
+				note, notetagName + ' ' + time);
+			if ('string' == typeof value) {
+				let percent = Number.parseFloat(value);
+				if (Number.isNaN(percent)) {
+					console.warn("Invalid DayNight " + notetagName + ": " + value);
+				} else {
+					rate *= percent / 100;
+				}
 			}
+		}
+		return rate;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_Map_encounterList = Game_Map.prototype.encounterList;
+	Game_Map.prototype.encounterList = function() {
+		const list = McKathlin.DayNight.Game_Map_encounterList.call(this);
+		const timedList = McKathlin.DayNight.getTimedEncounters($dataMap.note || "");
+		return timedList.length > 0 ? list.concat(timedList) : list;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_Map_encounterStep = Game_Map.prototype.encounterStep;
+	Game_Map.prototype.encounterStep = function() {
+		const step = McKathlin.DayNight.Game_Map_encounterStep.call(this);
+		const rate = McKathlin.DayNight.getEncounterRate($dataMap.note || "");
+		if (1 == rate) {
+			return step;
+		} else if (rate <= 0) {
+			return Number.MAX_SAFE_INTEGER; // Encounters never happen.
+		}
+		return Math.max(1, Math.round(step / rate));
+	};
+
+	//=============================================================================
+	// Clock Window
+	//=============================================================================
+
+	//-----------------------------------------------------------------------------
+	// Window_DayNightClock
+	//
+	// The window that shows the time, the day, and a sun and moon dial.
+	// The compact version, for the menu, shows the time and day on one line.
+
+	function Window_DayNightClock() {
+		this.initialize.apply(this, arguments);
+	}
+
+	Window_DayNightClock.prototype = Object.create(Window_Base.prototype);
+	Window_DayNightClock.prototype.constructor = Window_DayNightClock;
+	// Global, so that other plugins may use and alias it.
+	window.Window_DayNightClock = Window_DayNightClock;
+
+	Window_DayNightClock.prototype.initialize = function(x, y, isCompact=false) {
+		this._isCompact = isCompact;
+		var width = this.windowWidth();
+		var height = this.windowHeight();
+		Window_Base.prototype.initialize.call(this, x, y, width, height);
+		this._shownMinutes = null;
+		this.refresh();
+	};
+
+	Window_DayNightClock.prototype.windowWidth = function() {
+		return 240;
+	};
+
+	Window_DayNightClock.prototype.windowHeight = function() {
+		return this.fittingHeight(this._isCompact ? 1 : 2);
+	};
+
+	Window_DayNightClock.prototype.update = function() {
+		Window_Base.prototype.update.call(this);
+		if (this._shownMinutes !== McKathlin.DayNightCycle.getTotalMinutes()) {
+			this.refresh();
+		}
+	};
+
+	Window_DayNightClock.prototype.refresh = function() {
+		const cycle = McKathlin.DayNightCycle;
+		this._shownMinutes = cycle.getTotalMinutes();
+		this.contents.clear();
+		this.resetTextColor();
+		if (this._isCompact) {
+			const width = this.contentsWidth();
+			this.drawText(this.dayText(), 0, 0, width, 'left');
+			this.drawText(this.timeText(), 0, 0, width, 'right');
+		} else {
+			const dialSize = this.lineHeight() * 2;
+			const textX = dialSize + this.textPadding();
+			const textWidth = this.contentsWidth() - textX;
+			this.drawDial(0, 0, dialSize);
+			this.drawText(this.timeText(), textX, 0, textWidth, 'right');
+			this.drawText(this.dayText(), textX, this.lineHeight(), textWidth, 'right');
+		}
+	};
+
+	Window_DayNightClock.prototype.timeText = function() {
+		if (24 == McKathlin.DayNight.Param.ClockHourFormat) {
+			return McKathlin.DayNightCycle.toString();
+		}
+		return McKathlin.DayNightCycle.toTwelveHourString();
+	};
+
+	Window_DayNightClock.prototype.dayText = function() {
+		const cycle = McKathlin.DayNightCycle;
+		return McKathlin.DayNight.Param.ClockDayFormat.format(
+			cycle.getDays() + 1, cycle.getWeekdayName(), cycle.getDayOfMonth(),
+			cycle.getMonthName(), cycle.getYear());
+	};
+
+	// Draws a round dial with the sun or moon at its place in the sky.
+	// Midnight is at the bottom of the dial, and noon at the top.
+	Window_DayNightClock.prototype.drawDial = function(x, y, size) {
+		const cycle = McKathlin.DayNightCycle;
+		const radius = Math.floor(size / 2) - 2;
+		const centerX = x + size / 2;
+		const centerY = y + size / 2;
+		const skyColors = {
+			dawn: '#cc7744', day: '#6699cc', dusk: '#aa5566', night: '#223355'
 		};
+		this.contents.drawCircle(centerX, centerY, radius,
+			skyColors[cycle.getPhaseName()]);
 
-	} // endif Bloodmoon enabled
+		const angle = 2 * Math.PI * cycle.getMinutesOfDay() /
+			McKathlin.DayNight.MINUTES_PER_DAY;
+		const orbit = radius * 0.6;
+		const bodyX = centerX - orbit * Math.sin(angle);
+		const bodyY = centerY + orbit * Math.cos(angle);
+		var bodyColor = '#ffdd55'; // sun
+		if (cycle.isNight()) {
+			bodyColor = cycle.getSpecialNights().length > 0 ? '#dd3333' : '#eeeeff';
+		}
+		this.contents.drawCircle(bodyX, bodyY, Math.max(2, radius * 0.3), bodyColor);
+	};
+
+	// Returns true if the clock should show on the map now.
+	Window_DayNightClock.prototype.isShownOnMap = function() {
+		const switchId = McKathlin.DayNight.Param.ClockVisibilitySwitch;
+		if (switchId && !$gameSwitches.value(switchId)) {
+			return false;
+		}
+		if (McKathlin.DayNight.Param.HideClockDuringEvents &&
+			($gameMap.isEventRunning() || $gameMessage.isBusy())) {
+			return false;
+		}
+		return true;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Clock on the map
+	//-----------------------------------------------------------------------------
+
+	if (McKathlin.DayNight.Param.ShowClockWindow) {
+		// Alias method
+		McKathlin.DayNight.Scene_Map_createAllWindows =
+			Scene_Map.prototype.createAllWindows;
+		Scene_Map.prototype.createAllWindows = function() {
+			this.createDayNightClockWindow();
+			McKathlin.DayNight.Scene_Map_createAllWindows.call(this);
+		};
+
+		// New method
+		Scene_Map.prototype.createDayNightClockWindow = function() {
+			this._dayNightClockWindow = new Window_DayNightClock(0, 0);
+			const position = McKathlin.DayNight.Param.ClockWindowPosition;
+			if (position.endsWith('Right')) {
+				this._dayNightClockWindow.x =
+					Graphics.boxWidth - this._dayNightClockWindow.width;
+			}
+			if (position.startsWith('bottom')) {
+				this._dayNightClockWindow.y =
+					Graphics.boxHeight - this._dayNightClockWindow.height;
+			}
+			if (!this._dayNightClockWindow.isShownOnMap()) {
+				this._dayNightClockWindow.openness = 0;
+			}
+			this.addWindow(this._dayNightClockWindow);
+		};
+
+		// Alias method
+		McKathlin.DayNight.Scene_Map_updateMain = Scene_Map.prototype.updateMain;
+		Scene_Map.prototype.updateMain = function() {
+			McKathlin.DayNight.Scene_Map_updateMain.call(this);
+			this.updateDayNightClockWindow();
+		};
+
+		// New method
+		Scene_Map.prototype.updateDayNightClockWindow = function() {
+			const clockWindow = this._dayNightClockWindow;
+			if (clockWindow.isShownOnMap()) {
+				clockWindow.open();
+			} else {
+				clockWindow.close();
+			}
+		};
+	} // endif clock window shown
+
+	//-----------------------------------------------------------------------------
+	// Clock in the menu
+	//-----------------------------------------------------------------------------
+
+	if (McKathlin.DayNight.Param.ShowClockWindow &&
+		McKathlin.DayNight.Param.ShowClockInMenu) {
+		// Alias method
+		McKathlin.DayNight.Scene_Menu_create = Scene_Menu.prototype.create;
+		Scene_Menu.prototype.create = function() {
+			McKathlin.DayNight.Scene_Menu_create.call(this);
+			this.createDayNightClockWindow();
+		};
+
+		// New method
+		// Places a compact clock just above the gold window.
+		Scene_Menu.prototype.createDayNightClockWindow = function() {
+			const COMPACT = true;
+			this._dayNightClockWindow = new Window_DayNightClock(0, 0, COMPACT);
+			this._dayNightClockWindow.y =
+				this._goldWindow.y - this._dayNightClockWindow.height;
+			this.addWindow(this._dayNightClockWindow);
+		};
+	} // endif clock shown in menu
+
+	//=============================================================================
+	// Rest Scene
+	//=============================================================================
+
+	McKathlin.DayNight.DEFAULT_MIN_REST_HOURS = 1;
+	McKathlin.DayNight.DEFAULT_MAX_REST_HOURS = 24;
+
+	// Returns the number of minutes from now until the next time
+	// it is this many minutes into the day.
+	McKathlin.DayNight.minutesUntil = function(minutesOfDay) {
+		const MINUTES_PER_DAY = McKathlin.DayNight.MINUTES_PER_DAY;
+		const now = McKathlin.DayNightCycle.getMinutesOfDay();
+		return (minutesOfDay - now + MINUTES_PER_DAY) % MINUTES_PER_DAY ||
+			MINUTES_PER_DAY;
+	};
+
+	// Passes time while the party rests, and lets them recover.
+	McKathlin.DayNight.rest = function(minutes) {
+		const hours = minutes / McKathlin.DayNight.MINUTES_PER_HOUR;
+		McKathlin.DayNightCycle.addMinutes(minutes);
+		$gameVariables.setValue(
+			McKathlin.DayNight.Param.RestHoursVariable, Math.round(hours));
+
+		const hpRate = McKathlin.DayNight.Param.RestHpRecovery / 100 * hours;
+		const mpRate = McKathlin.DayNight.Param.RestMpRecovery / 100 * hours;
+		for (const actor of $gameParty.aliveMembers()) {
+			if (hpRate > 0) {
+				actor.gainHp(Math.floor(actor.mhp * hpRate));
+			}
+			if (mpRate > 0) {
+				actor.gainMp(Math.floor(actor.mmp * mpRate));
+			}
+		}
+
+		// The screen is dark while resting, so show the new lighting at once.
+		if ($gameMap.isLightingTimeVarying()) {
+			$gameScreen.startTint($gameMap.mapTone, 0);
+		}
+	};
+
+	//-----------------------------------------------------------------------------
+	// Window_DayNightRest
+	//
+	// The window for choosing how long to rest.
+
+	function Window_DayNightRest() {
+		this.initialize.apply(this, arguments);
+	}
+
+	Window_DayNightRest.prototype = Object.create(Window_Command.prototype);
+	Window_DayNightRest.prototype.constructor = Window_DayNightRest;
+	// Global, so that other plugins may use and alias it.
+	window.Window_DayNightRest = Window_DayNightRest;
+
+	Window_DayNightRest.prototype.initialize = function(minHours, maxHours) {
+		this._minHours = minHours;
+		this._maxHours = maxHours;
+		this._hours = minHours;
+		Window_Command.prototype.initialize.call(this, 0, 0);
+		this.x = (Graphics.boxWidth - this.width) / 2;
+		this.y = (Graphics.boxHeight - this.height) / 2;
+	};
+
+	Window_DayNightRest.prototype.windowWidth = function() {
+		return 360;
+	};
+
+	Window_DayNightRest.prototype.makeCommandList = function() {
+		const profile = McKathlin.DayNightCycle.getDayProfile();
+		this.addCommand(McKathlin.DayNight.Param.RestUntilDawnText, 'dawn',
+			this.isRestAllowed(McKathlin.DayNight.minutesUntil(profile.dawnStart)));
+		this.addCommand(McKathlin.DayNight.Param.RestUntilDuskText, 'dusk',
+			this.isRestAllowed(McKathlin.DayNight.minutesUntil(profile.duskStart)));
+		this.addCommand(
+			McKathlin.DayNight.Param.RestHoursText.format(this._hours), 'hours');
+	};
+
+	Window_DayNightRest.prototype.isRestAllowed = function(minutes) {
+		const hours = minutes / McKathlin.DayNight.MINUTES_PER_HOUR;
+		return hours >= this._minHours && hours <= this._maxHours;
+	};
+
+	// Returns how many minutes the selected choice would rest.
+	Window_DayNightRest.prototype.restMinutes = function() {
+		const profile = McKathlin.DayNightCycle.getDayProfile();
+		switch (this.currentSymbol()) {
+			case 'dawn':
+				return McKathlin.DayNight.minutesUntil(profile.dawnStart);
+			case 'dusk':
+				return McKathlin.DayNight.minutesUntil(profile.duskStart);
+			default:
+				return this._hours * McKathlin.DayNight.MINUTES_PER_HOUR;
+		}
+	};
+
+	Window_DayNightRest.prototype.cursorRight = function(wrap) {
+		if ('hours' == this.currentSymbol()) {
+			this.changeHours(1);
+		}
+	};
+
+	Window_DayNightRest.prototype.cursorLeft = function(wrap) {
+		if ('hours' == this.currentSymbol()) {
+			this.changeHours(-1);
+		}
+	};
+
+	Window_DayNightRest.prototype.changeHours = function(amount) {
+		const hours = (this._hours + amount).clamp(this._minHours, this._maxHours);
+		if (hours != this._hours) {
+			this._hours = hours;
+			SoundManager.playCursor();
+			this.refresh();
+			this.callUpdateHelp();
+		}
+	};
+
+	Window_DayNightRest.prototype.updateHelp = function() {
+		const wakeTime = McKathlin.DayNightCycle.plus(
+			new McKathlin.TimeSpan(0, 0, this.restMinutes()));
+		const wakeText = 24 == McKathlin.DayNight.Param.ClockHourFormat ?
+			wakeTime.toString() : wakeTime.toTwelveHourString();
+		this._helpWindow.setText(
+			McKathlin.DayNight.Param.RestWakeText.format(wakeText));
+	};
+
+	//-----------------------------------------------------------------------------
+	// Scene_DayNightRest
+	//
+	// The scene where the player chooses how long to rest.
+
+	function Scene_DayNightRest() {
+		this.initialize.apply(this, arguments);
+	}
+
+	Scene_DayNightRest.prototype = Object.create(Scene_MenuBase.prototype);
+	Scene_DayNightRest.prototype.constructor = Scene_DayNightRest;
+	// Global, so that other plugins may use and alias it.
+	window.Scene_DayNightRest = Scene_DayNightRest;
+
+	Scene_DayNightRest.prototype.initialize = function() {
+		Scene_MenuBase.prototype.initialize.call(this);
+		this._minHours = McKathlin.DayNight.DEFAULT_MIN_REST_HOURS;
+		this._maxHours = McKathlin.DayNight.DEFAULT_MAX_REST_HOURS;
+		this._restMinutes = 0;
+	};
+
+	Scene_DayNightRest.prototype.prepare = function(minHours, maxHours) {
+		this._minHours = minHours;
+		this._maxHours = Math.max(minHours, maxHours);
+	};
+
+	Scene_DayNightRest.prototype.create = function() {
+		Scene_MenuBase.prototype.create.call(this);
+		$gameTemp.hasDayNightRested = false;
+		this.createHelpWindow();
+		this.createRestWindow();
+	};
+
+	Scene_DayNightRest.prototype.createRestWindow = function() {
+		this._restWindow = new Window_DayNightRest(this._minHours, this._maxHours);
+		this._restWindow.setHelpWindow(this._helpWindow);
+		this._restWindow.setHandler('ok', this.onRestOk.bind(this));
+		this._restWindow.setHandler('cancel', this.onRestCancel.bind(this));
+		this.addWindow(this._restWindow);
+	};
+
+	Scene_DayNightRest.prototype.onRestOk = function() {
+		this._restMinutes = this._restWindow.restMinutes();
+		this.startFadeOut(this.slowFadeSpeed());
+	};
+
+	Scene_DayNightRest.prototype.onRestCancel = function() {
+		$gameVariables.setValue(McKathlin.DayNight.Param.RestHoursVariable, 0);
+		this.popScene();
+	};
+
+	Scene_DayNightRest.prototype.update = function() {
+		Scene_MenuBase.prototype.update.call(this);
+		if (this._restMinutes > 0 && !this.isBusy()) {
+			McKathlin.DayNight.rest(this._restMinutes);
+			this._restMinutes = 0;
+			$gameTemp.hasDayNightRested = true;
+			this.popScene();
+		}
+	};
+
+	// Alias method
+	// The map fades in from black after resting.
+	McKathlin.DayNight.Scene_Map_needsFadeIn = Scene_Map.prototype.needsFadeIn;
+	Scene_Map.prototype.needsFadeIn = function() {
+		return McKathlin.DayNight.Scene_Map_needsFadeIn.call(this) ||
+			(SceneManager.isPreviousScene(Scene_DayNightRest) &&
+				$gameTemp.hasDayNightRested);
+	};
+
+	//=============================================================================
+	// Shop Hours and Prices
+	//=============================================================================
+
+	// New method
+	// Returns the text of the Comment commands just before the current command.
+	Game_Interpreter.prototype.precedingComments = function() {
+		const COMMENT_CODE = 108;
+		const COMMENT_CONTINUED_CODE = 408;
+		var lines = [];
+		for (var i = this._index - 1; i >= 0; i--) {
+			let command = this._list[i];
+			if (COMMENT_CODE == command.code || COMMENT_CONTINUED_CODE == command.code) {
+				lines.unshift(command.parameters[0]);
+			} else {
+				break;
+			}
+		}
+		return lines.join('\n');
+	};
+
+	// New method
+	// Adds a shop tag, such as <shop hours: 8:00 AM-8:00 PM>,
+	// for the next Shop Processing command.
+	Game_Interpreter.prototype.addDayNightShopTag = function(notetagName, value) {
+		this._dayNightShopNote = (this._dayNightShopNote || "") +
+			'<' + notetagName + ': ' + value + '>\n';
+	};
+
+	// Returns true if the shop with these tags is open right now.
+	McKathlin.DayNight.isShopOpen = function(shopNote) {
+		const hours = McKathlin.Core.getNotetagValueIn(shopNote, 'shop hours');
+		return 'string' != typeof hours || McKathlin.DayNight.meetsCondition(
+			McKathlin.DayNight.parseCondition(hours));
+	};
+
+	// Returns true if shops sell this item right now.
+	McKathlin.DayNight.isSoldNow = function(item) {
+		const condition = McKathlin.Core.getNotetagValueIn(item.note, 'sold during');
+		return 'string' != typeof condition || McKathlin.DayNight.meetsCondition(
+			McKathlin.DayNight.parseCondition(condition));
+	};
+
+	// Alias method
+	// Shop Processing
+	McKathlin.DayNight.Game_Interpreter_command302 =
+		Game_Interpreter.prototype.command302;
+	Game_Interpreter.prototype.command302 = function() {
+		const shopNote = (this._dayNightShopNote || "") + this.precedingComments();
+		if ($gameParty.inBattle() || McKathlin.DayNight.isShopOpen(shopNote)) {
+			this._dayNightShopNote = "";
+			$gameTemp.dayNightShopNote = shopNote;
+			return McKathlin.DayNight.Game_Interpreter_command302.call(this);
+		}
+
+		// The shop is closed.
+		if ($gameMessage.isBusy()) {
+			return false;
+		}
+		this._dayNightShopNote = "";
+		const closedMessage = McKathlin.Core.getNotetagValueIn(shopNote, 'shop closed');
+		$gameMessage.add('string' == typeof closedMessage ?
+			closedMessage : McKathlin.DayNight.Param.ShopClosedMessage);
+		while (this.nextEventCode() === 605) { // Shop goods
+			this._index++;
+		}
+		this.setWaitMode('message');
+		return true;
+	};
+
+	// Alias method
+	// Leaves out items not sold now, and applies time-based prices.
+	McKathlin.DayNight.Window_ShopBuy_makeItemList =
+		Window_ShopBuy.prototype.makeItemList;
+	Window_ShopBuy.prototype.makeItemList = function() {
+		McKathlin.DayNight.Window_ShopBuy_makeItemList.call(this);
+		const shopRate = McKathlin.DayNight.getTimedRate(
+			$gameTemp.dayNightShopNote || "", 'shop price at');
+		var data = [];
+		var prices = [];
+		for (var i = 0; i < this._data.length; i++) {
+			let item = this._data[i];
+			if (!McKathlin.DayNight.isSoldNow(item)) {
+				continue;
+			}
+			let rate = shopRate * McKathlin.DayNight.getTimedRate(
+				item.note, 'shop price at');
+			data.push(item);
+			prices.push(Math.round(this._price[i] * rate));
+		}
+		this._data = data;
+		this._price = prices;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Scene_Shop_terminate = Scene_Shop.prototype.terminate;
+	Scene_Shop.prototype.terminate = function() {
+		McKathlin.DayNight.Scene_Shop_terminate.call(this);
+		$gameTemp.dayNightShopNote = null;
+	};
+
+	//=============================================================================
+	// Day-Night Traits
+	//=============================================================================
+
+	McKathlin.DayNight.PARAM_CODES =
+		['mhp', 'mmp', 'atk', 'def', 'mat', 'mdf', 'agi', 'luk'];
+	McKathlin.DayNight.XPARAM_CODES =
+		['hit', 'eva', 'cri', 'cev', 'mev', 'mrf', 'cnt', 'hrg', 'mrg', 'trg'];
+	McKathlin.DayNight.SPARAM_CODES =
+		['tgr', 'grd', 'rec', 'pha', 'mcr', 'tcr', 'pdr', 'mdr', 'fdr', 'exr'];
+
+	// Returns the day-night traits in a database object's note,
+	// such as <night outdoors param ATK: +20%>.
+	McKathlin.DayNight.getDayNightTraits = function(dataObject) {
+		if (undefined === dataObject.dayNightTraits) {
+			const regex = new RegExp('<(' + McKathlin.DayNight.getTraitTimePattern() + ')' +
+				'(\\s+outdoors?)?\\s+(?:[xs]?param\\s+)?(\\w+)\\s*:\\s*' +
+				'([+-]?\\d+(?:\\.\\d+)?)%\\s*>', 'gi');
+			var traits = [];
+			var match;
+			while (match = regex.exec(dataObject.note || "")) {
+				traits.push({
+					time: match[1].toLowerCase().replace(/\s+/g, ' '),
+					isOutdoorsOnly: !!match[2],
+					code: match[3].toLowerCase(),
+					value: Number(match[4]) / 100
+				});
+			}
+			dataObject.dayNightTraits = traits;
+		}
+		return dataObject.dayNightTraits;
+	};
+
+	// Returns a regex pattern matching any time word a trait may start with:
+	// day, night, dawn, dusk, or the name of a special night.
+	McKathlin.DayNight.getTraitTimePattern = function() {
+		const words = ['dawn', 'day', 'dusk', 'night'].concat(
+			McKathlin.DayNight.Param.SpecialNights.map((specialNight) => specialNight.key));
+		// Longer words first, so that a name isn't cut short by another.
+		return words.filter((word) => word)
+			.sort((a, b) => b.length - a.length)
+			.map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/ /g, '\\s+'))
+			.join('|');
+	};
+
+	// New method
+	// Returns the values of this battler's day-night traits
+	// for this param code that apply right now.
+	Game_BattlerBase.prototype.dayNightTraitValues = function(code) {
+		var values = [];
+		var timeWords = null;
+		for (const dataObject of this.traitObjects()) {
+			for (const trait of McKathlin.DayNight.getDayNightTraits(dataObject)) {
+				if (trait.code != code || (trait.isOutdoorsOnly && !$gameMap.isOutside)) {
+					continue;
+				}
+				timeWords = timeWords || McKathlin.DayNight.getCurrentTimeWords();
+				if (timeWords.includes(trait.time)) {
+					values.push(trait.value);
+				}
+			}
+		}
+		return values;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_BattlerBase_paramRate = Game_BattlerBase.prototype.paramRate;
+	Game_BattlerBase.prototype.paramRate = function(paramId) {
+		var rate = McKathlin.DayNight.Game_BattlerBase_paramRate.call(this, paramId);
+		const code = McKathlin.DayNight.PARAM_CODES[paramId];
+		for (const value of this.dayNightTraitValues(code)) {
+			rate *= 1 + value;
+		}
+		return rate;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_BattlerBase_xparam = Game_BattlerBase.prototype.xparam;
+	Game_BattlerBase.prototype.xparam = function(xparamId) {
+		var value = McKathlin.DayNight.Game_BattlerBase_xparam.call(this, xparamId);
+		const code = McKathlin.DayNight.XPARAM_CODES[xparamId];
+		for (const traitValue of this.dayNightTraitValues(code)) {
+			value += traitValue;
+		}
+		return value;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_BattlerBase_sparam = Game_BattlerBase.prototype.sparam;
+	Game_BattlerBase.prototype.sparam = function(sparamId) {
+		var value = McKathlin.DayNight.Game_BattlerBase_sparam.call(this, sparamId);
+		const code = McKathlin.DayNight.SPARAM_CODES[sparamId];
+		for (const traitValue of this.dayNightTraitValues(code)) {
+			value *= 1 + traitValue;
+		}
+		return value;
+	};
+
+	// Alias method
+	// When the time calls for different traits, refreshes the party
+	// so that HP and MP stay within their max.
+	McKathlin.DayNight.Game_Map_onTimeChanged_noTraits = Game_Map.prototype.onTimeChanged;
+	Game_Map.prototype.onTimeChanged = function(previousMinutes) {
+		McKathlin.DayNight.Game_Map_onTimeChanged_noTraits.call(this, previousMinutes);
+		const traitTimeKey = McKathlin.DayNight.getCurrentTimeWords().join(',');
+		if (traitTimeKey != this._dayNightTraitTimeKey) {
+			this._dayNightTraitTimeKey = traitTimeKey;
+			$gameParty.members().forEach(actor => actor.refresh());
+		}
+	};
+
+	//=============================================================================
+	// Plugin Commands
+	//=============================================================================
+	
+	// Alias method
+	McKathlin.DayNight.Game_Interpreter_pluginCommand =
+		Game_Interpreter.prototype.pluginCommand;
+	Game_Interpreter.prototype.pluginCommand = function(command, args) {
+		// Check for previously defined plugin commands first.
+		McKathlin.DayNight.Game_Interpreter_pluginCommand.call(
+			this, command, args);
+
+		if (/^day-?night$/i.test(command) == false) {
+			return; // Not a DayNight command. Nothing more to do.
+		}
+
+		if (args.length == 0) {
+			console.warn("Incomplete DayNight plugin command");
+			return;
+		}
+		
+		let actionWord = args[0].toLowerCase();
+		let nextWord = args.length > 1 ? args[1].toLowerCase() : '';
+
+		// Check if it's a lighting command.
+		if (actionWord.includes('light') || nextWord.startsWith('light')) {
+			let duration = 0;
+			if (args.length > 0) {
+				duration = Number.parseInt(args[args.length - 1]);
+			}
+
+			if (actionWord.startsWith('reset')) {
+				// Reset Lighting
+				if (Number.isNaN(duration)) {
+					duration = 0;
+				}
+				return McKathlin.DayNight.commandResetLighting(duration);
+			} else {
+				// Use Lighting Preset
+				// The preset name may be a lighting expression with spaces.
+				let start = 1;
+				while (start < args.length - 1 &&
+					/^(?:lighting|preset)$/i.test(args[start])) {
+					start++;
+				}
+				let end = args.length;
+				if (end - start > 1 && /^\d+$/.test(args[end - 1])) {
+					end--;
+				} else {
+					duration = 0;
+				}
+				const presetName = args.slice(start, end).join(' ');
+				return McKathlin.DayNight.commandUseLightingPreset(
+					presetName, duration);
+			}
+		}
+
+		// Check if it's a schedule command.
+		if ('schedule' == actionWord) {
+			return McKathlin.DayNight.commandSchedule(args.slice(1).join(' '));
+		} else if ('unschedule' == actionWord) {
+			return McKathlin.DayNight.commandUnschedule(nextWord);
+		} else if ('rest' == actionWord) {
+			return McKathlin.DayNight.commandRest(nextWord);
+		} else if ('shop' == actionWord) {
+			const shopArg = args.slice(2).join(' ');
+			if ('hours' == nextWord) {
+				return this.addDayNightShopTag('shop hours', shopArg);
+			} else if ('closed' == nextWord) {
+				return this.addDayNightShopTag('shop closed', shopArg);
+			}
+		} else if ('push' == actionWord && /^(?:time|speed)$/.test(nextWord)) {
+			return McKathlin.DayNight.commandPushTimeSpeed(args[args.length - 1]);
+		} else if ('pop' == actionWord && /^(?:time|speed)$/.test(nextWord)) {
+			return McKathlin.DayNight.commandPopTimeSpeed();
+		} else if ('bloodmoon' == nextWord) {
+			const bloodmoonArgs = args.slice(2);
+			if ('force' == actionWord) {
+				return McKathlin.DayNight.commandForceBloodmoon(
+					bloodmoonArgs.join(' '));
+			} else if ('postpone' == actionWord) {
+				let days = 1;
+				if (bloodmoonArgs.length > 0 && /^\d+$/.test(bloodmoonArgs[0])) {
+					days = Number(bloodmoonArgs.shift());
+				}
+				return McKathlin.DayNight.commandPostponeBloodmoon(
+					days, bloodmoonArgs.join(' '));
+			} else if ('cancel' == actionWord) {
+				return McKathlin.DayNight.commandCancelBloodmoon(
+					bloodmoonArgs.join(' '));
+			}
+		}
+
+		// A DayNight command not related to lighting is a time command.
+		const argIndex = nextWord == 'time' ? 2 : 1;
+		const timeArg = args.slice(argIndex).join(' ');
+		if (actionWord.startsWith('set')) {
+			// Set Time
+			return McKathlin.DayNight.commandSetTime(timeArg);
+		} else if (actionWord.startsWith('add')) {
+			// Add Time
+			const scaledRegex = /\s+scaled$/i;
+			return McKathlin.DayNight.commandAddTime(
+				timeArg.replace(scaledRegex, ''), scaledRegex.test(timeArg));
+		} else if (actionWord.startsWith('reset')) {
+			// Reset Time
+			return McKathlin.DayNight.commandResetTime();
+		} else {
+			// Unknown Command
+			console.warn(
+				"Unrecognized DayNight plugin command:",
+				command,
+				args.join(' '),
+			);
+		}
+	};
+
+	//-- Set Time --
+	McKathlin.DayNight.commandSetTime = function(timeStr) {
+		var time = McKathlin.DayNight.parseTimeOfDay(timeStr);
+		McKathlin.DayNightCycle.setForwardTo(time);
+	};
+	
+	//-- Add Time --
+	McKathlin.DayNight.commandAddTime = function(timeSpanStr, isScaled=false) {
+		var timeSpan = McKathlin.DayNight.parseTimeSpan(timeSpanStr);
+		if (isScaled) {
+			McKathlin.DayNightCycle.addScaledMinutes(timeSpan.getTotalMinutes());
+		} else {
+			McKathlin.DayNightCycle.add(timeSpan);
+		}
+	};
+
+	//-- Push Time Speed --
+	McKathlin.DayNight.commandPushTimeSpeed = function(speedStr) {
+		var speed = McKathlin.DayNight.parsePercent(speedStr);
+		if (null === speed) {
+			console.warn("Invalid DayNight Push Time Speed: " + speedStr);
+			return;
+		}
+		McKathlin.DayNightCycle.pushTimeSpeed(speed);
+	};
+
+	//-- Pop Time Speed --
+	McKathlin.DayNight.commandPopTimeSpeed = function() {
+		McKathlin.DayNightCycle.popTimeSpeed();
+	};
+	
+	//-- Reset Time --
+	McKathlin.DayNight.commandResetTime = function() {
+		McKathlin.DayNightCycle.reset();
+	};
+	
+	//-- Schedule --
+	// Takes arguments such as "6:00 AM 12 every on Monday, Friday"
+	McKathlin.DayNight.commandSchedule = function(argString) {
+		var match = argString.match(
+			/^(\d{1,2}:\d{2} ?(?:[ap]m?)?)\s+(\d+)(\s+every)?(?:\s+on\s+(.+))?$/i);
+		if (!match) {
+			console.warn("Invalid DayNight Schedule command: " + argString);
+			return;
+		}
+		McKathlin.DayNightCycle.addSchedule({
+			minutesOfDay: McKathlin.DayNight.parseTimeOfDay(match[1]).getMinutesOfDay(),
+			commonEventId: Number(match[2]),
+			dayFilter: McKathlin.DayNight.parseDayFilter(match[4]),
+			catchUp: match[3] ? 'each' : 'once'
+		});
+	};
+
+	//-- Unschedule --
+	McKathlin.DayNight.commandUnschedule = function(commonEventId) {
+		McKathlin.DayNightCycle.removeSchedules(Number(commonEventId));
+	};
+
+	//-- Rest --
+	// Takes a range of hours such as "1-8", or just the most hours, or nothing.
+	McKathlin.DayNight.commandRest = function(rangeString) {
+		var minHours = McKathlin.DayNight.DEFAULT_MIN_REST_HOURS;
+		var maxHours = McKathlin.DayNight.DEFAULT_MAX_REST_HOURS;
+		var match = rangeString.match(/^(?:(\d+)-)?(\d+)$/);
+		if (match) {
+			minHours = match[1] ? Number(match[1]) : minHours;
+			maxHours = Number(match[2]);
+		} else if (rangeString) {
+			console.warn("Invalid DayNight Rest range: " + rangeString);
+		}
+		SceneManager.push(Scene_DayNightRest);
+		SceneManager.prepareNextScene(minHours, maxHours);
+	};
+	
+	//-- Force Bloodmoon --
+	McKathlin.DayNight.commandForceBloodmoon = function(name) {
+		McKathlin.DayNight.rescheduleSpecialNight(name,
+			(nextNight, tonight) => tonight);
+	};
+
+	//-- Postpone Bloodmoon --
+	McKathlin.DayNight.commandPostponeBloodmoon = function(days, name) {
+		McKathlin.DayNight.rescheduleSpecialNight(name,
+			(nextNight, tonight) => nextNight + days);
+	};
+
+	//-- Cancel Bloodmoon --
+	McKathlin.DayNight.commandCancelBloodmoon = function(name) {
+		McKathlin.DayNight.rescheduleSpecialNight(name,
+			(nextNight, tonight, specialNight) =>
+				McKathlin.DayNight.rollNextSpecialNight(specialNight, nextNight));
+	};
+
+	//-- Reset Lighting --
+	McKathlin.DayNight.commandResetLighting = function(duration) {
+		const presetName = McKathlin.DayNight.getLightingNotetag($dataMap.note);
+		$gameMap.applyLightingPreset(presetName, duration);
+	};
+	
+	//-- Use Lighting Preset --
+	McKathlin.DayNight.commandUseLightingPreset = function(presetName, duration) {
+		if (presetName) {
+			$gameMap.applyLightingPreset(presetName, duration || 0);
+		} else {
+			console.warn("Use Lighting Preset: no preset name given!");
+		}
+	};
+
+	//-----------------------------------------------------------------------------
+	// Time parsing static helpers
+	//-----------------------------------------------------------------------------	
+	McKathlin.DayNight.parseTimeOfDay = function(timeString) {
+		var match = timeString.match(/(\d{1,2}):(\d{2}) ?(?:([ap])m?)?/i);
+		if (!match) {
+			throw new Error('Invalid time-of-day string: ' + timeString);
+		}
+		var hours = Number(match[1]);
+		var minutes = Number(match[2]);
+		if (match[3]) { // AM or PM suffix
+			if ('P' == match[3].toUpperCase()) { // PM
+				if (12 != hours) { // 12:XX PM == 12:XX military time.
+					hours += 12; // e.g. 7:15 PM == 19:15 military time.
+				}
+			}
+			else { // AM or military time
+				if ('A' == match[3].toUpperCase() && 12 == hours) {
+					hours = 0; // 12:XX AM == 00:XX military time.
+				}
+			}
+		}
+		return new McKathlin.TimeSpan(0, hours, minutes);
+	};
+
+	McKathlin.DayNight.parseTimeSpan = function(timeSpanString) {
+		var days = 0;
+		var hours = 0;
+		var minutes = 0;
+		var match;
+		if (match = timeSpanString.match(/(\d+) ?d/i)) {
+			days = Number(match[1]);
+		}
+		if (match = timeSpanString.match(/(\d+) ?h/i)) {
+			hours = Number(match[1]);
+		}
+		if (match = timeSpanString.match(/(\d+) ?m/i)) {
+			minutes = Number(match[1]);
+		}
+		return new McKathlin.TimeSpan(days, hours, minutes);
+	};
+
+	//=============================================================================
+	// Bloodmoon and other special nights
+	//=============================================================================
+
+	//-----------------------------------------------------------------------------
+	// Moon phase calculation helps
+	//-----------------------------------------------------------------------------
+
+	// Returns the same number from 0 up to 1 each time it is given
+	// the same keys, which must be integers.
+	McKathlin.DayNight.seededRandom = function(...keys) {
+		var hash = 2166136261;
+		for (const key of keys) {
+			hash = Math.imul(hash ^ (key | 0), 16777619);
+			hash ^= hash >>> 13;
+		}
+		hash = Math.imul(hash ^ (hash >>> 16), 2246822507);
+		hash = Math.imul(hash ^ (hash >>> 13), 3266489909);
+		hash ^= hash >>> 16;
+		return (hash >>> 0) / 4294967296;
+	};
+
+	// Returns the same whole number each time it is given the same string.
+	McKathlin.DayNight.hashString = function(string) {
+		var hash = 2166136261;
+		for (var i = 0; i < string.length; i++) {
+			hash = Math.imul(hash ^ string.charCodeAt(i), 16777619);
+		}
+		return hash | 0;
+	};
+
+	// Returns the special night cycle with this name,
+	// or the first special night cycle if no name is given.
+	McKathlin.DayNight.getSpecialNight = function(name=null) {
+		const specialNights = McKathlin.DayNight.Param.SpecialNights;
+		if (!name) {
+			return specialNights[0] || null;
+		}
+		const key = name.trim().toLowerCase();
+		return specialNights.find((specialNight) => specialNight.key == key) || null;
+	};
+
+	// Earlier versions took only isForTones. It may still be given first.
+	McKathlin.TimeSpan.prototype.isBloodmoonNight = function(name=null, isForTones=false) {
+		return this.isNight() && this.isBloodmoonPhase(name, isForTones);
+	};
+
+	McKathlin.TimeSpan.prototype.isBloodmoonPhase = function(name=null, isForTones=false) {
+		return this.getMoonPhase(name, isForTones) == 0;
+	};
+
+	// Returns how many nights it has been since the last special night
+	// of the named cycle, or -1 if there hasn't been one yet.
+	McKathlin.TimeSpan.prototype.getMoonPhase = function(name=null, isForTones=false) {
+		if ('boolean' == typeof name) {
+			isForTones = name;
+			name = null;
+		}
+		const specialNight = McKathlin.DayNight.getSpecialNight(name);
+		if (!specialNight) {
+			return -1;
+		}
+		const nightsPassed = this.getNightsPassed(isForTones);
+		const lastNight = McKathlin.DayNight.getLastSpecialNight(
+			specialNight, nightsPassed);
+		if (null === lastNight) {
+			return -1;
+		}
+		return nightsPassed - lastNight;
+	};
+
+	// Returns the number of the night this time belongs to.
+	// Until the day starts, it still belongs to the night before.
+	McKathlin.TimeSpan.prototype.getNightsPassed = function(isForTones=false) {
+		const profile = this.getDayProfile();
+		const cutoffTime = isForTones ? profile.midday : profile.dayStart;
+		var nightsPassed = this.getDays();
+		if (this.getMinutesOfDay() < cutoffTime) {
+			nightsPassed -= 1;
+		}
+		return nightsPassed;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Special night scheduling
+	//-----------------------------------------------------------------------------
+
+	McKathlin.DayNight.getSpecialNightSeed = function() {
+		if (undefined === $gameSystem.specialNightSeed) {
+			$gameSystem.specialNightSeed = McKathlin.DayNight.Param.BloodmoonSeed ||
+				Math.randomInt(0x7fffffff) + 1;
+		}
+		return $gameSystem.specialNightSeed;
+	};
+
+	// Returns the saved list of special nights for a cycle, in order.
+	// The last one in the list is still to come.
+	// Fixed cycles that were never changed by plugin command have no list.
+	McKathlin.DayNight.getSpecialNightSchedule = function(specialNight, create=false) {
+		if (!$gameSystem.specialNightSchedules) {
+			$gameSystem.specialNightSchedules = {};
+		}
+		var nights = $gameSystem.specialNightSchedules[specialNight.key];
+		if (!nights && (create || specialNight.isRandom)) {
+			nights = specialNight.isRandom ?
+				[McKathlin.DayNight.rollNextSpecialNight(specialNight,
+					specialNight.nightsBeforeFirst - specialNight.minDays)] :
+				[specialNight.nightsBeforeFirst];
+			$gameSystem.specialNightSchedules[specialNight.key] = nights;
+		}
+		return nights || null;
+	};
+
+	// Returns the number of the first special night after the given night.
+	McKathlin.DayNight.rollNextSpecialNight = function(specialNight, afterNight) {
+		if (!specialNight.isRandom) {
+			return afterNight + specialNight.daysInCycle;
+		}
+		const seed = McKathlin.DayNight.getSpecialNightSeed();
+		// Seeded by name, so adding or reordering special nights
+		// doesn't change the rolls of the others.
+		const cycleHash = McKathlin.DayNight.hashString(specialNight.key);
+		for (var days = specialNight.minDays; days < specialNight.maxDays; days++) {
+			let roll = McKathlin.DayNight.seededRandom(seed, cycleHash, afterNight + days);
+			if (roll * 100 < specialNight.chance) {
+				return afterNight + days;
+			}
+		}
+		return afterNight + specialNight.maxDays;
+	};
+
+	// Returns the number of the latest special night on or before
+	// the given night, or null if there hasn't been one yet.
+	McKathlin.DayNight.getLastSpecialNight = function(specialNight, night) {
+		const nights = McKathlin.DayNight.getSpecialNightSchedule(specialNight);
+		if (!nights) {
+			// Fixed cycles are simple enough to count.
+			if (night < specialNight.nightsBeforeFirst) {
+				return null;
+			}
+			return night - (night - specialNight.phaseIndex) % specialNight.daysInCycle;
+		}
+		while (nights[nights.length - 1] <= night) {
+			nights.push(McKathlin.DayNight.rollNextSpecialNight(
+				specialNight, nights[nights.length - 1]));
+		}
+		for (var i = nights.length - 2; i >= 0; i--) {
+			if (nights[i] <= night) {
+				return nights[i];
+			}
+		}
+		return null;
+	};
+
+	// How many nights back the saved special night lists can still answer for,
+	// such as for a time zone behind, or the debug screen moving time back.
+	McKathlin.DayNight.SPECIAL_NIGHT_HISTORY_DAYS = 7;
+
+	// Drops special nights that are no longer needed from the saved lists,
+	// so that they don't grow for the whole game. Only runs when time
+	// reaches a later night than before, and keeps enough history for
+	// any night back to SPECIAL_NIGHT_HISTORY_DAYS before it.
+	McKathlin.DayNight.trimSpecialNightSchedules = function() {
+		const tonight = McKathlin.DayNightCycle.getNightsPassed(true);
+		if (tonight <= $gameSystem.specialNightsTrimmedNight) {
+			return;
+		}
+		$gameSystem.specialNightsTrimmedNight = tonight;
+		const earliestNight = tonight - McKathlin.DayNight.SPECIAL_NIGHT_HISTORY_DAYS;
+		for (const nights of Object.values($gameSystem.specialNightSchedules || {})) {
+			let keepIndex = 0;
+			for (var i = 0; i < nights.length - 1; i++) {
+				if (nights[i] <= earliestNight) {
+					keepIndex = i;
+				}
+			}
+			if (keepIndex > 0) {
+				nights.splice(0, keepIndex);
+			}
+		}
+	};
+
+	// Returns the earliest total minutes that the saved special night lists
+	// can still answer for, or 0 if they haven't been trimmed.
+	McKathlin.DayNight.getEarliestSupportedMinutes = function() {
+		const trimmedNight = $gameSystem.specialNightsTrimmedNight;
+		if (undefined === trimmedNight) {
+			return 0;
+		}
+		const earliestDay = trimmedNight - McKathlin.DayNight.SPECIAL_NIGHT_HISTORY_DAYS + 1;
+		return Math.max(earliestDay * McKathlin.DayNight.MINUTES_PER_DAY, 0);
+	};
+
+	// Alias method
+	// Going back to the start rolls the special nights again from the start.
+	McKathlin.DayNightCycle.reset_noBloodmoon = McKathlin.DayNightCycle.reset;
+	McKathlin.DayNightCycle.reset = function() {
+		$gameSystem.specialNightSchedules = {};
+		delete $gameSystem.specialNightsTrimmedNight;
+		McKathlin.DayNightCycle.reset_noBloodmoon.call(this);
+	};
+
+	// Changes the next special night of the named cycle.
+	// The change function is given the next special night's number,
+	// tonight's number, and the cycle, and returns the new next special night.
+	McKathlin.DayNight.rescheduleSpecialNight = function(name, change) {
+		const specialNight = McKathlin.DayNight.getSpecialNight(name);
+		if (!specialNight) {
+			console.warn("No such special night: " + name);
+			return;
+		}
+		const cycle = McKathlin.DayNightCycle;
+		const tonight = cycle.getNightsPassed();
+		const lastNight = McKathlin.DayNight.getLastSpecialNight(specialNight, tonight);
+		const isNewSchedule = !McKathlin.DayNight.getSpecialNightSchedule(specialNight);
+		var nights = McKathlin.DayNight.getSpecialNightSchedule(specialNight, true);
+		if (isNewSchedule && null !== lastNight) {
+			// Start the list from the fixed cycle's latest special night.
+			nights.splice(0, 1, lastNight,
+				McKathlin.DayNight.rollNextSpecialNight(specialNight, lastNight));
+		}
+		McKathlin.DayNight.getLastSpecialNight(specialNight, tonight);
+
+		// Nights after the next one are rolled again from its new night.
+		const nextIndex = nights.findIndex((night) => night > tonight);
+		nights.length = nextIndex + 1;
+		const newNight = change(nights[nextIndex], tonight, specialNight);
+		if (newNight > tonight) {
+			nights[nextIndex] = newNight;
+		} else if (lastNight !== tonight) {
+			// It's tonight. The ones after it count from here.
+			nights[nextIndex] = tonight;
+		}
+		cycle.changeTimeTo(cycle.getTotalMinutes());
+	};
+
+	// Returns the special night cycles at phase 0 right now,
+	// highest priority first.
+	McKathlin.TimeSpan.prototype.getSpecialNights = function(isForTones=false) {
+		return McKathlin.DayNight.Param.SpecialNights.filter(
+			(specialNight) => this.isBloodmoonPhase(specialNight.name, isForTones)
+		).sort((a, b) => b.priority - a.priority);
+	};
+
+	//-----------------------------------------------------------------------------
+	// Switch setting
+	//-----------------------------------------------------------------------------
+
+	// Alias method
+	// Adds Bloodmoon and special night variable and switch setting.
+	McKathlin.DayNightCycle.updateTime_noBloodmoon =
+		McKathlin.DayNightCycle.updateTime;
+	McKathlin.DayNightCycle.updateTime = function() {
+		McKathlin.DayNightCycle.updateTime_noBloodmoon.call(this);
+		McKathlin.DayNight.trimSpecialNightSchedules();
+
+		const isDay = this.isDaytime();
+		for (const specialNight of McKathlin.DayNight.Param.SpecialNights) {
+			const moonPhase = this.getMoonPhase(specialNight.name);
+			const isBloodmoon = 0 == moonPhase;
+
+			$gameVariables.setValue(specialNight.phaseVariable, moonPhase);
+			$gameSwitches.setValue(specialNight.phaseSwitch, isBloodmoon);
+			$gameSwitches.setValue(specialNight.nightSwitch, isBloodmoon && !isDay);
+		}
+	};
+
+	//-----------------------------------------------------------------------------
+	// Tone finding
+	//-----------------------------------------------------------------------------
+
+	// Alias method
+	// With a name, returns the outside tone as it would be
+	// on that special night.
+	McKathlin.DayNightCycle.getOutsideTone_noBloodmoon = 
+		McKathlin.DayNightCycle.getOutsideTone;
+	McKathlin.DayNightCycle.getOutsideTone = function(name=null) {
+		const specialNight = name ? McKathlin.DayNight.getSpecialNight(name) :
+			this.getSpecialNights(true).find(McKathlin.DayNight.specialNightHasTones);
+		if (!specialNight || !McKathlin.DayNight.specialNightHasTones(specialNight)) {
+			// Any tones left blank are the usual tones.
+			return McKathlin.DayNightCycle.getOutsideTone_noBloodmoon.call(this);
+		}
+		var profile = this.getDayProfile();
+		return McKathlin.DayNight.pickPhaseTone(this.getMinutesOfDay(), profile, {
+			dawnTonePhases: specialNight.dawnTonePhases || profile.dawnTonePhases,
+			daylightTone: profile.daylightTone,
+			duskTonePhases: specialNight.duskTonePhases || profile.duskTonePhases,
+			nightTone: specialNight.nightTone || profile.nightTone,
+			toneKeyframes: specialNight.toneKeyframes.length ?
+				specialNight.toneKeyframes : profile.toneKeyframes
+		});
+	};
+
+	// Returns true if the special night has any tones of its own.
+	McKathlin.DayNight.specialNightHasTones = function(specialNight) {
+		return !!(
+			(specialNight.dawnTonePhases && specialNight.dawnTonePhases.length) ||
+			(specialNight.duskTonePhases && specialNight.duskTonePhases.length) ||
+			specialNight.nightTone ||
+			(specialNight.toneKeyframes && specialNight.toneKeyframes.length));
+	};
+
+	//=============================================================================
+	// Auto Weather
+	//=============================================================================
+
+	if (McKathlin.DayNight.Param.EnableAutoWeather) {
+		//-------------------------------------------------------------------------
+		// Weather notetags
+		//-------------------------------------------------------------------------
+
+		// Returns the map's weather table from its weather notetags,
+		// or null if it has none.
+		McKathlin.DayNight.getWeatherNotetags = function(note) {
+			var values = McKathlin.Core.getNotetagValuesIn(note, 'weather');
+			if (0 == values.length) {
+				return null;
+			}
+			var table = [];
+			for (const value of values) {
+				if (true === value || /^none$/i.test(value.trim())) {
+					continue;
+				}
+				let entry = McKathlin.DayNight.parseWeatherNotetag(value);
+				if (entry) {
+					table.push(entry);
+				} else {
+					console.warn("Invalid weather notetag: " + value);
+				}
+			}
+			return table;
+		};
+
+		// Parses a notetag value such as "snow 7 30% dusk night Winter".
+		McKathlin.DayNight.parseWeatherNotetag = function(value) {
+			const PHASE_NAMES = ['dawn', 'day', 'dusk', 'night'];
+			var words = value.trim().split(/\s+/);
+			var type = words.shift().toLowerCase();
+			if (!['rain', 'storm', 'snow'].includes(type)) {
+				return null;
+			}
+			var entry = { type: type, power: 5, chance: 0, phases: [], season: '' };
+			var seasonWords = [];
+			for (const word of words) {
+				let lowerWord = word.toLowerCase();
+				if (/^\d+%$/.test(word)) {
+					entry.chance = Number.parseInt(word);
+				} else if (/^\d+$/.test(word)) {
+					entry.power = Number(word).clamp(1, 9);
+				} else if (PHASE_NAMES.includes(lowerWord)) {
+					entry.phases.push(lowerWord);
+				} else if ('any' != lowerWord) {
+					seasonWords.push(lowerWord);
+				}
+			}
+			entry.season = seasonWords.join(' ');
+			return entry;
+		};
+
+		//-------------------------------------------------------------------------
+		// Weather rolls
+		//-------------------------------------------------------------------------
+
+		McKathlin.DayNight.getWeatherSeed = function() {
+			if (undefined === $gameSystem.weatherSeed) {
+				$gameSystem.weatherSeed = McKathlin.DayNight.Param.WeatherSeed ||
+					Math.randomInt(0x7fffffff) + 1;
+			}
+			return $gameSystem.weatherSeed;
+		};
+
+		// Picks the weather for the current hour from the given table.
+		// Returns null if no weather comes up.
+		McKathlin.DayNight.rollWeather = function(table) {
+			const cycle = McKathlin.DayNightCycle;
+			const phase = cycle.getPhaseName();
+			const season = cycle.getSeasonName().toLowerCase();
+			const seed = McKathlin.DayNight.getWeatherSeed();
+			const hour = cycle.getTotalHours();
+			for (var i = 0; i < table.length; i++) {
+				let entry = table[i];
+				if (entry.phases.length > 0 && !entry.phases.includes(phase)) {
+					continue;
+				}
+				if (entry.season && entry.season != season) {
+					continue;
+				}
+				let roll = McKathlin.DayNight.seededRandom(seed, hour, i);
+				if (roll * 100 < entry.chance) {
+					return { type: entry.type, power: entry.power };
+				}
+			}
+			return null;
+		};
+
+		//-------------------------------------------------------------------------
+		// Weather application
+		//-------------------------------------------------------------------------
+
+		// Alias method
+		McKathlin.DayNight.Game_Map_setup_noWeather = Game_Map.prototype.setup;
+		Game_Map.prototype.setup = function(mapId) {
+			this.weatherTable = McKathlin.DayNight.getWeatherNotetags(
+				$dataMap.note || "");
+			McKathlin.DayNight.Game_Map_setup_noWeather.call(this, mapId);
+		};
+
+		// Alias method
+		McKathlin.DayNight.Game_Map_applyLightingPreset_noWeather =
+			Game_Map.prototype.applyLightingPreset;
+		Game_Map.prototype.applyLightingPreset = function(presetName, duration=0) {
+			McKathlin.DayNight.Game_Map_applyLightingPreset_noWeather.call(
+				this, presetName, duration);
+			this.updateAutoWeather(duration);
+		};
+
+		// Alias method
+		McKathlin.DayNight.Game_Map_onTimeChanged_noWeather =
+			Game_Map.prototype.onTimeChanged;
+		Game_Map.prototype.onTimeChanged = function(previousMinutes) {
+			const previousHours = Math.floor(
+				previousMinutes / McKathlin.DayNight.MINUTES_PER_HOUR);
+			if (previousHours != McKathlin.DayNightCycle.getTotalHours()) {
+				this.updateAutoWeather(McKathlin.DayNight.Param.WeatherFadeDuration);
+			}
+			McKathlin.DayNight.Game_Map_onTimeChanged_noWeather.call(
+				this, previousMinutes);
+		};
+
+		// New method
+		// Rolls this hour's weather if outdoors, or clears auto weather if not.
+		Game_Map.prototype.updateAutoWeather = function(duration) {
+			var weather = null;
+			if (this.isOutside) {
+				weather = McKathlin.DayNight.rollWeather(
+					this.weatherTable || McKathlin.DayNight.Param.WeatherTable);
+			}
+			$gameScreen.changeAutoWeather(weather, duration);
+
+			if (this.isOutside) {
+				// Weather changes the outdoor tone.
+				this.mapTone = McKathlin.DayNightCycle.getOutsideTone();
+				$gameScreen.startTint(this.mapTone, duration);
+			}
+		};
+
+		// New method
+		// Changes to the given weather, or clears the weather
+		// if no weather is given and auto weather had set it.
+		Game_Screen.prototype.changeAutoWeather = function(weather, duration) {
+			if (weather) {
+				this.changeWeather(weather.type, weather.power, duration);
+				this.autoWeather = weather;
+			} else if (this.autoWeather) {
+				this.changeWeather('none', 0, duration);
+				this.autoWeather = null;
+			}
+		};
+
+		//-------------------------------------------------------------------------
+		// Weather tone shift
+		//-------------------------------------------------------------------------
+
+		// Alias method
+		McKathlin.DayNightCycle.getOutsideTone_noWeather =
+			McKathlin.DayNightCycle.getOutsideTone;
+		McKathlin.DayNightCycle.getOutsideTone = function() {
+			var tone = McKathlin.DayNightCycle.getOutsideTone_noWeather.apply(
+				this, arguments);
+			var weather = $gameScreen.autoWeather;
+			var shift = weather ?
+				McKathlin.DayNight.Param.WeatherToneShifts[weather.type] : null;
+			if (!tone || !shift) {
+				return tone;
+			}
+			const MAX_POWER = 9;
+			var scale = weather.power / MAX_POWER;
+			return McKathlin.DayNight.clampTone(tone.map(
+				(value, i) => Math.round(value + shift[i] * scale)));
+		};
+	} // endif Auto Weather enabled
+
+	//=============================================================================
+	// Dynamic Lights
+	//=============================================================================
+
+	McKathlin.DayNight.DEFAULT_LIGHT_RADIUS = 96;
+	// Frames between changes in a flickering light's brightness.
+	McKathlin.DayNight.LIGHT_FLICKER_INTERVAL = 6;
+	McKathlin.DayNight.DEFAULT_LIGHT_COLOR = '#ffffff';
+
+	//-----------------------------------------------------------------------------
+	// Light comment tags
+	//-----------------------------------------------------------------------------
+
+	// Returns the light from a light comment tag in the page's comments,
+	// such as <light: radius=96 color=#ffcc66 flicker>, or null if none.
+	McKathlin.DayNight.getPageLight = function(page) {
+		var comments = McKathlin.Core.getPageComments(page);
+		var match = comments.match(/<light(?:(?: |: |:)([^>]*))?>/i);
+		if (!match) {
+			return null;
+		}
+		var options = match[1] || '';
+		var light = {
+			radius: McKathlin.DayNight.DEFAULT_LIGHT_RADIUS,
+			color: McKathlin.DayNight.DEFAULT_LIGHT_COLOR,
+			flicker: /\bflicker\b/i.test(options)
+		};
+		var captures;
+		if (captures = options.match(/\bradius ?= ?(\d+)/i)) {
+			light.radius = Number(captures[1]);
+		}
+		if (captures = options.match(/\bcolor ?= ?(#(?:[0-9a-f]{3}|[0-9a-f]{6}))\b/i)) {
+			light.color = captures[1];
+		}
+		return light;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Character lights
+	//-----------------------------------------------------------------------------
+
+	// New method
+	// Returns this character's light, or null if it gives none.
+	Game_CharacterBase.prototype.dayNightLight = function() {
+		return this._dayNightLight || null;
+	};
+
+	// New method
+	// Returns how far this character's light reaches right now.
+	Game_CharacterBase.prototype.dayNightLightRadius = function() {
+		const light = this.dayNightLight();
+		// Whole pixels, so the lights only need redrawing when they change.
+		return light ? Math.round(light.radius * (this._lightFlicker || 1)) : 0;
+	};
+
+	// New method
+	Game_CharacterBase.prototype.updateDayNightLight = function() {
+		const light = this.dayNightLight();
+		if (light && light.flicker) {
+			// Drift toward a new brightness every few frames.
+			this._lightFlickerCount = (this._lightFlickerCount || 0) + 1;
+			if (this._lightFlickerCount >= McKathlin.DayNight.LIGHT_FLICKER_INTERVAL) {
+				this._lightFlickerCount = 0;
+				const target = 0.85 + Math.random() * 0.15;
+				this._lightFlicker = (this._lightFlicker || 1) * 0.5 + target * 0.5;
+			}
+		} else {
+			this._lightFlicker = 1;
+		}
+	};
+
+	// Alias method
+	McKathlin.DayNight.Game_Event_setupPage_noLight = Game_Event.prototype.setupPage;
+	Game_Event.prototype.setupPage = function() {
+		McKathlin.DayNight.Game_Event_setupPage_noLight.call(this);
+		this._dayNightLight = McKathlin.DayNight.getPageLight(this.page());
+	};
+
+	// New method
+	// The player carries a lantern while the Lantern Switch is ON
+	// or the party has a Lantern Item.
+	Game_Player.prototype.dayNightLight = function() {
+		const Param = McKathlin.DayNight.Param;
+		if ((Param.LanternSwitch && $gameSwitches.value(Param.LanternSwitch)) ||
+			Param.LanternItems.some((itemId) => $gameParty.hasItem($dataItems[itemId]))) {
+			return Param.LanternLight;
+		}
+		return null;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Sprite_DayNightLights
+	//
+	// The darkness mask over the map, with holes where lights shine through.
+
+	function Sprite_DayNightLights() {
+		this.initialize.apply(this, arguments);
+	}
+
+	Sprite_DayNightLights.prototype = Object.create(Sprite.prototype);
+	Sprite_DayNightLights.prototype.constructor = Sprite_DayNightLights;
+	// Global, so that other plugins may use and alias it.
+	window.Sprite_DayNightLights = Sprite_DayNightLights;
+
+	Sprite_DayNightLights.prototype.initialize = function() {
+		Sprite.prototype.initialize.call(this);
+		this.bitmap = new Bitmap(Graphics.width, Graphics.height);
+		this._darkness = this.targetDarkness();
+	};
+
+	// Returns the mask opacity called for by the map's lighting.
+	Sprite_DayNightLights.prototype.targetDarkness = function() {
+		const tone = $gameMap.mapTone ||
+			McKathlin.DayNightCycle.getToneByKeyword($gameMap.lightingType);
+		const brightness = (tone[0] + tone[1] + tone[2]) / 3;
+		return (-brightness * McKathlin.DayNight.Param.DarknessMaskStrength / 100)
+			.clamp(0, 255);
+	};
+
+	Sprite_DayNightLights.prototype.update = function() {
+		Sprite.prototype.update.call(this);
+		this.updateDarkness();
+		this.redraw();
+	};
+
+	// Fades the mask along with the screen tone.
+	Sprite_DayNightLights.prototype.updateDarkness = function() {
+		const target = this.targetDarkness();
+		const duration = McKathlin.DayNight.Param.ToneFadeDuration;
+		if (duration > 0) {
+			const step = 255 / duration;
+			this._darkness = target > this._darkness ?
+				Math.min(this._darkness + step, target) :
+				Math.max(this._darkness - step, target);
+		} else {
+			this._darkness = target;
+		}
+	};
+
+	// Returns the characters on screen that give light.
+	Sprite_DayNightLights.prototype.lightCharacters = function() {
+		var characters = $gameMap.events().filter((event) =>
+			event.dayNightLight() && !event.isTransparent());
+		if ($gamePlayer.dayNightLight() && !$gamePlayer.isTransparent()) {
+			characters.push($gamePlayer);
+		}
+		return characters;
+	};
+
+	// Returns where each light shines on screen, and how far and in what color.
+	Sprite_DayNightLights.prototype.screenLights = function() {
+		return this.lightCharacters().map((character) => ({
+			x: character.screenX(),
+			y: character.screenY() - $gameMap.tileHeight() / 2,
+			radius: character.dayNightLightRadius(),
+			color: character.dayNightLight().color
+		}));
+	};
+
+	// Redraws the mask only when the darkness or a light has changed,
+	// since each redraw uploads the whole screen-sized bitmap again.
+	Sprite_DayNightLights.prototype.redraw = function() {
+		const lights = this._darkness > 0 ? this.screenLights() : [];
+		const drawState = this._darkness > 0 ?
+			JSON.stringify([this._darkness, lights]) : '';
+		if (drawState === this._lastDrawState) {
+			return;
+		}
+		this._lastDrawState = drawState;
+
+		const bitmap = this.bitmap;
+		bitmap.clear();
+		if (this._darkness <= 0) {
+			return;
+		}
+		const context = bitmap.context;
+		context.save();
+		context.fillStyle = 'rgba(0, 0, 0, %1)'.format(this._darkness / 255);
+		context.fillRect(0, 0, bitmap.width, bitmap.height);
+		for (const light of lights) {
+			this.drawLight(context, light.x, light.y, light.radius, light.color);
+		}
+		context.restore();
+		bitmap._setDirty();
+	};
+
+	// Punches a soft hole in the mask, then tints it with the light's color.
+	Sprite_DayNightLights.prototype.drawLight = function(context, x, y, radius, color) {
+		var gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+		gradient.addColorStop(0, 'rgba(0, 0, 0, 1)');
+		gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+		context.globalCompositeOperation = 'destination-out';
+		context.globalAlpha = 1;
+		context.fillStyle = gradient;
+		context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+
+		gradient = context.createRadialGradient(x, y, 0, x, y, radius);
+		gradient.addColorStop(0, color);
+		gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
+		context.globalCompositeOperation = 'source-over';
+		context.globalAlpha = 0.4 * this._darkness / 255;
+		context.fillStyle = gradient;
+		context.fillRect(x - radius, y - radius, radius * 2, radius * 2);
+	};
+
+	if (McKathlin.DayNight.Param.EnableDynamicLights) {
+		// Alias method
+		McKathlin.DayNight.Game_CharacterBase_update_noLight =
+			Game_CharacterBase.prototype.update;
+		Game_CharacterBase.prototype.update = function() {
+			McKathlin.DayNight.Game_CharacterBase_update_noLight.call(this);
+			this.updateDayNightLight();
+		};
+
+		// Alias method
+		// The lights go above the map and its characters and weather,
+		// and below pictures.
+		McKathlin.DayNight.Spriteset_Map_createLowerLayer_noLights =
+			Spriteset_Map.prototype.createLowerLayer;
+		Spriteset_Map.prototype.createLowerLayer = function() {
+			McKathlin.DayNight.Spriteset_Map_createLowerLayer_noLights.call(this);
+			this._dayNightLightsSprite = new Sprite_DayNightLights();
+			this.addChild(this._dayNightLightsSprite);
+		};
+	} // endif Dynamic Lights enabled
+
+	//=============================================================================
+	// Time Zones
+	//=============================================================================
+
+	// Returns the offset in minutes from a map note such as
+	// <DayNight: timezone=+6h>, or 0 if the map has no time zone.
+	McKathlin.DayNight.getTimezoneNotetag = function(note) {
+		var value = McKathlin.DayNight.getDayNightOption(note, 'time-?zone');
+		if (!value || true === value) {
+			return 0;
+		}
+		var match = value.match(/^([+-]?)\s*(.*)$/);
+		var minutes = McKathlin.DayNight.parseTimeSpan(match[2]).getTotalMinutes();
+		return '-' == match[1] ? -minutes : minutes;
+	};
+
+	// Returns the time as it is on the current map.
+	// On a map with no time zone, that's the cycle itself.
+	McKathlin.DayNightCycle.getLocalTime = function() {
+		const offset = $gameMap ? $gameMap.timezoneMinutes || 0 : 0;
+		if (!offset) {
+			return this;
+		}
+		// Early in the game, a time zone behind may still be on day -1.
+		return new McKathlin.TimeSpan(0, 0, this.getTotalMinutes() + offset);
+	};
+
+	// Alias method
+	McKathlin.DayNightCycle.getOutsideTone_noTimezone =
+		McKathlin.DayNightCycle.getOutsideTone;
+	McKathlin.DayNightCycle.getOutsideTone = function() {
+		return McKathlin.DayNightCycle.getOutsideTone_noTimezone.apply(
+			this.getLocalTime(), arguments);
+	};
+
+	// Alias method
+	McKathlin.DayNightCycle.getPresetTone_noTimezone =
+		McKathlin.DayNightCycle.getPresetTone;
+	McKathlin.DayNightCycle.getPresetTone = function(preset) {
+		return McKathlin.DayNightCycle.getPresetTone_noTimezone.call(
+			this.getLocalTime(), preset);
+	};
+
+	// Alias method
+	McKathlin.DayNightCycle.getPhaseOverlay_noTimezone =
+		McKathlin.DayNightCycle.getPhaseOverlay;
+	McKathlin.DayNightCycle.getPhaseOverlay = function() {
+		return McKathlin.DayNightCycle.getPhaseOverlay_noTimezone.call(
+			this.getLocalTime());
+	};
+
+	// Overrides the TimeSpan method for the cycle only.
+	// The Daytime and Night switches follow this, too.
+	McKathlin.DayNightCycle.isDaytime = function() {
+		return McKathlin.TimeSpan.prototype.isDaytime.call(this.getLocalTime());
+	};
+
+	// Alias method
+	// The new map's lighting starts out by the old map's time zone,
+	// then fades to its own local time like any other change of time.
+	McKathlin.DayNight.Game_Map_setup_noTimezone = Game_Map.prototype.setup;
+	Game_Map.prototype.setup = function(mapId) {
+		McKathlin.DayNight.Game_Map_setup_noTimezone.call(this, mapId);
+		const timezoneMinutes = McKathlin.DayNight.getTimezoneNotetag(
+			$dataMap.note || "");
+		if (timezoneMinutes != (this.timezoneMinutes || 0)) {
+			this.timezoneMinutes = timezoneMinutes;
+			McKathlin.DayNightCycle.changeTimeTo(
+				McKathlin.DayNightCycle.getTotalMinutes());
+		}
+	};
+
+	//=============================================================================
+	// Debug Screen
+	//=============================================================================
+
+	//-----------------------------------------------------------------------------
+	// Read-only reserved switches and variables
+	//-----------------------------------------------------------------------------
+
+	// Alias method
+	McKathlin.DayNight.Window_DebugEdit_drawItem = Window_DebugEdit.prototype.drawItem;
+	Window_DebugEdit.prototype.drawItem = function(index) {
+		this.changePaintOpacity(!this.isDayNightReserved(this._topId + index));
+		McKathlin.DayNight.Window_DebugEdit_drawItem.call(this, index);
+		this.changePaintOpacity(true);
+	};
+
+	// New method
+	Window_DebugEdit.prototype.isDayNightReserved = function(dataId) {
+		if ('switch' == this._mode) {
+			return McKathlin.DayNight.isReservedSwitch(dataId);
+		} else {
+			return McKathlin.DayNight.isReservedVariable(dataId);
+		}
+	};
+
+	// Alias method
+	McKathlin.DayNight.Window_DebugEdit_updateSwitch =
+		Window_DebugEdit.prototype.updateSwitch;
+	Window_DebugEdit.prototype.updateSwitch = function() {
+		if (this.isDayNightReserved(this.currentId())) {
+			if (Input.isRepeated('ok')) {
+				SoundManager.playBuzzer();
+			}
+			return;
+		}
+		McKathlin.DayNight.Window_DebugEdit_updateSwitch.call(this);
+	};
+
+	// Alias method
+	McKathlin.DayNight.Window_DebugEdit_updateVariable =
+		Window_DebugEdit.prototype.updateVariable;
+	Window_DebugEdit.prototype.updateVariable = function() {
+		if (this.isDayNightReserved(this.currentId())) {
+			if (Input.isRepeated('right') || Input.isRepeated('left') ||
+				Input.isRepeated('pagedown') || Input.isRepeated('pageup')) {
+				SoundManager.playBuzzer();
+			}
+			return;
+		}
+		McKathlin.DayNight.Window_DebugEdit_updateVariable.call(this);
+	};
+
+	//-----------------------------------------------------------------------------
+	// Debug time changes
+	//-----------------------------------------------------------------------------
+
+	// Moves the time forward or, in the debug screen, backward,
+	// but not further back than the saved special nights remember.
+	McKathlin.DayNight.debugAddMinutes = function(minutes) {
+		const cycle = McKathlin.DayNightCycle;
+		cycle.changeTimeTo(Math.max(cycle.getTotalMinutes() + minutes,
+			McKathlin.DayNight.getEarliestSupportedMinutes()));
+	};
+
+	// Returns how many minutes until the next phase of the day begins.
+	McKathlin.DayNight.minutesUntilNextPhase = function() {
+		const cycle = McKathlin.DayNightCycle;
+		const profile = cycle.getDayProfile();
+		const nextPhaseStarts = {
+			night: profile.dawnStart,
+			dawn: profile.dawnEnd,
+			day: profile.duskStart,
+			dusk: profile.duskEnd % McKathlin.DayNight.MINUTES_PER_DAY
+		};
+		return McKathlin.DayNight.minutesUntil(nextPhaseStarts[cycle.getPhaseName()]);
+	};
+
+	// Returns the keywords of the outdoor lighting and every preset,
+	// with the names to show for them.
+	McKathlin.DayNight.getLightingChoices = function() {
+		var choices = [{
+			keyword: McKathlin.DayNight.Param.OutdoorLightingKeyword,
+			name: McKathlin.DayNight.Parameters['Outdoor Lighting Keyword']
+		}];
+		const presets = McKathlin.DayNight.Param.SimpleLightingPresets || {};
+		for (const key in presets) {
+			choices.push({ keyword: key, name: presets[key].keyword });
+		}
+		return choices;
+	};
+
+	//-----------------------------------------------------------------------------
+	// Window_DayNightDebug
+	//
+	// The debug screen's Day-Night page.
+
+	function Window_DayNightDebug() {
+		this.initialize.apply(this, arguments);
+	}
+
+	Window_DayNightDebug.prototype = Object.create(Window_Selectable.prototype);
+	Window_DayNightDebug.prototype.constructor = Window_DayNightDebug;
+	// Global, so that other plugins may use and alias it.
+	window.Window_DayNightDebug = Window_DayNightDebug;
+
+	Window_DayNightDebug.DAY = 0;
+	Window_DayNightDebug.TIME = 1;
+	Window_DayNightDebug.PHASE = 2;
+	Window_DayNightDebug.MOON_PHASE = 3;
+	Window_DayNightDebug.LIGHTING = 4;
+
+	Window_DayNightDebug.prototype.initialize = function(x, y, width, height) {
+		Window_Selectable.prototype.initialize.call(this, x, y, width, height);
+		this._lightingChoices = McKathlin.DayNight.getLightingChoices();
+		this._previewIndex = Math.max(0, this._lightingChoices.findIndex(
+			(choice) => choice.keyword == ($gameMap.lightingType || '').toLowerCase()));
+		this.refresh();
+	};
+
+	Window_DayNightDebug.prototype.maxItems = function() {
+		return 5;
+	};
+
+	Window_DayNightDebug.prototype.itemName = function(index) {
+		return ['Day', 'Time', 'Phase', 'Moon Phase', 'Lighting'][index];
+	};
+
+	Window_DayNightDebug.prototype.itemStatus = function(index) {
+		const cycle = McKathlin.DayNightCycle;
+		switch (index) {
+			case Window_DayNightDebug.DAY:
+				return (cycle.getDays() + 1) + ' (' + cycle.getWeekdayName() + ')';
+			case Window_DayNightDebug.TIME:
+				return cycle.toString();
+			case Window_DayNightDebug.PHASE:
+				return cycle.getPhaseName();
+			case Window_DayNightDebug.MOON_PHASE:
+				const specialNight = McKathlin.DayNight.getSpecialNight();
+				if (!specialNight) {
+					return '-';
+				}
+				const moonPhase = cycle.getMoonPhase(specialNight.name);
+				return specialNight.name + ' ' + (moonPhase < 0 ? '-' : moonPhase);
+			case Window_DayNightDebug.LIGHTING:
+				return this.previewChoice().name;
+		}
+		return '';
+	};
+
+	Window_DayNightDebug.prototype.previewChoice = function() {
+		return this._lightingChoices[this._previewIndex];
+	};
+
+	Window_DayNightDebug.prototype.drawItem = function(index) {
+		var rect = this.itemRectForText(index);
+		var statusWidth = this.textWidth('00000000000000000');
+		this.resetTextColor();
+		this.drawText(this.itemName(index), rect.x, rect.y, rect.width - statusWidth);
+		this.drawText(this.itemStatus(index), rect.x + rect.width - statusWidth,
+			rect.y, statusWidth, 'right');
+	};
+
+	Window_DayNightDebug.prototype.update = function() {
+		Window_Selectable.prototype.update.call(this);
+		if (this.active) {
+			this.updateDayNight();
+		}
+	};
+
+	// Left and right change the time or lighting; pageup and pagedown
+	// change the time by more. Enter skips to the next phase,
+	// forces a Bloodmoon, or applies the previewed lighting.
+	Window_DayNightDebug.prototype.updateDayNight = function() {
+		const MINUTES_PER_HOUR = McKathlin.DayNight.MINUTES_PER_HOUR;
+		const MINUTES_PER_DAY = McKathlin.DayNight.MINUTES_PER_DAY;
+		var minutes = 0;
+		var isChanged = false;
+		switch (this.index()) {
+			case Window_DayNightDebug.DAY:
+				minutes = this.repeatedDirection() * MINUTES_PER_DAY;
+				break;
+			case Window_DayNightDebug.TIME:
+				minutes = this.repeatedDirection() * 10;
+				if (Input.isRepeated('pagedown')) {
+					minutes = MINUTES_PER_HOUR;
+				} else if (Input.isRepeated('pageup')) {
+					minutes = -MINUTES_PER_HOUR;
+				}
+				break;
+			case Window_DayNightDebug.PHASE:
+				if (Input.isRepeated('ok')) {
+					minutes = McKathlin.DayNight.minutesUntilNextPhase();
+				}
+				break;
+			case Window_DayNightDebug.MOON_PHASE:
+				if (Input.isRepeated('ok') && McKathlin.DayNight.getSpecialNight()) {
+					McKathlin.DayNight.commandForceBloodmoon('');
+					isChanged = true;
+				}
+				break;
+			case Window_DayNightDebug.LIGHTING:
+				this.updateLightingPreview();
+				if (Input.isRepeated('ok')) {
+					$gameMap.applyLightingPreset(this.previewChoice().keyword);
+					isChanged = true;
+				}
+				break;
+		}
+		if (minutes) {
+			McKathlin.DayNight.debugAddMinutes(minutes);
+			isChanged = true;
+		}
+		if (isChanged) {
+			SoundManager.playCursor();
+			this.refresh();
+		}
+	};
+
+	Window_DayNightDebug.prototype.repeatedDirection = function() {
+		if (Input.isRepeated('right')) {
+			return 1;
+		} else if (Input.isRepeated('left')) {
+			return -1;
+		}
+		return 0;
+	};
+
+	// Picks another lighting to preview.
+	Window_DayNightDebug.prototype.updateLightingPreview = function() {
+		const direction = this.repeatedDirection();
+		if (direction) {
+			const count = this._lightingChoices.length;
+			this._previewIndex = (this._previewIndex + direction + count) % count;
+			SoundManager.playCursor();
+			this.redrawItem(Window_DayNightDebug.LIGHTING);
+			this.callHandler('preview');
+		}
+	};
+
+	//-----------------------------------------------------------------------------
+	// Day-Night page in the debug screen
+	//-----------------------------------------------------------------------------
+
+	// Alias method
+	McKathlin.DayNight.Window_DebugRange_maxItems = Window_DebugRange.prototype.maxItems;
+	Window_DebugRange.prototype.maxItems = function() {
+		return McKathlin.DayNight.Window_DebugRange_maxItems.call(this) + 1;
+	};
+
+	// Alias method
+	// The Day-Night page is last in the list.
+	McKathlin.DayNight.Window_DebugRange_mode = Window_DebugRange.prototype.mode;
+	Window_DebugRange.prototype.mode = function() {
+		if (this.index() >= McKathlin.DayNight.Window_DebugRange_maxItems.call(this)) {
+			return 'daynight';
+		}
+		return McKathlin.DayNight.Window_DebugRange_mode.call(this);
+	};
+
+	// Alias method
+	McKathlin.DayNight.Window_DebugRange_drawItem = Window_DebugRange.prototype.drawItem;
+	Window_DebugRange.prototype.drawItem = function(index) {
+		if (index >= McKathlin.DayNight.Window_DebugRange_maxItems.call(this)) {
+			var rect = this.itemRectForText(index);
+			this.drawText('Day-Night', rect.x, rect.y, rect.width);
+			return;
+		}
+		McKathlin.DayNight.Window_DebugRange_drawItem.call(this, index);
+	};
+
+	// Alias method
+	McKathlin.DayNight.Window_DebugRange_update = Window_DebugRange.prototype.update;
+	Window_DebugRange.prototype.update = function() {
+		McKathlin.DayNight.Window_DebugRange_update.call(this);
+		if (this._dayNightWindow) {
+			const isDayNight = 'daynight' == this.mode();
+			this._dayNightWindow.visible = isDayNight;
+			this._editWindow.visible = !isDayNight;
+		}
+	};
+
+	// New method
+	Window_DebugRange.prototype.setDayNightWindow = function(dayNightWindow) {
+		this._dayNightWindow = dayNightWindow;
+	};
+
+	// Alias method
+	McKathlin.DayNight.Scene_Debug_create = Scene_Debug.prototype.create;
+	Scene_Debug.prototype.create = function() {
+		McKathlin.DayNight.Scene_Debug_create.call(this);
+		this.createDayNightWindow();
+	};
+
+	// New method
+	Scene_Debug.prototype.createDayNightWindow = function() {
+		const editWindow = this._editWindow;
+		this._dayNightWindow = new Window_DayNightDebug(editWindow.x, editWindow.y,
+			editWindow.width, editWindow.height);
+		this._dayNightWindow.setHandler('cancel', this.onDayNightCancel.bind(this));
+		this._dayNightWindow.setHandler('preview', this.onDayNightPreview.bind(this));
+		this._dayNightWindow.hide();
+		this.addWindow(this._dayNightWindow);
+		this._rangeWindow.setDayNightWindow(this._dayNightWindow);
+		// The background shows the screen with this tone.
+		this._dayNightSnapshotTone = $gameScreen.tone().clone();
+	};
+
+	// Alias method
+	McKathlin.DayNight.Scene_Debug_onRangeOk = Scene_Debug.prototype.onRangeOk;
+	Scene_Debug.prototype.onRangeOk = function() {
+		if ('daynight' == this._rangeWindow.mode()) {
+			this._dayNightWindow.activate();
+			this._dayNightWindow.select(0);
+			this.refreshHelpWindow();
+			return;
+		}
+		McKathlin.DayNight.Scene_Debug_onRangeOk.call(this);
+	};
+
+	// New method
+	Scene_Debug.prototype.onDayNightCancel = function() {
+		this._rangeWindow.activate();
+		this._dayNightWindow.deselect();
+		this.refreshHelpWindow();
+	};
+
+	// New method
+	// Tints the background by how the previewed lighting
+	// differs from the screen's tone.
+	Scene_Debug.prototype.onDayNightPreview = function() {
+		const keyword = this._dayNightWindow.previewChoice().keyword;
+		const tone = McKathlin.DayNightCycle.getToneByKeyword(keyword);
+		const snapshotTone = this._dayNightSnapshotTone;
+		this._backgroundSprite.setColorTone(McKathlin.DayNight.clampTone(
+			tone.map((value, i) => value - snapshotTone[i])));
+	};
+
+	// Alias method
+	McKathlin.DayNight.Scene_Debug_refreshHelpWindow =
+		Scene_Debug.prototype.refreshHelpWindow;
+	Scene_Debug.prototype.refreshHelpWindow = function() {
+		McKathlin.DayNight.Scene_Debug_refreshHelpWindow.call(this);
+		if (this._dayNightWindow && this._dayNightWindow.active) {
+			this._debugHelpWindow.contents.clear();
+			this._debugHelpWindow.drawTextEx(this.dayNightHelpText(), 4, 0);
+		}
+	};
+
+	// New method
+	Scene_Debug.prototype.dayNightHelpText = function() {
+		return 'Left/Right : Day -1/+1, Time -10m/+10m\n' +
+			'Pageup/Pagedown : Time -1h/+1h\n' +
+			'Enter : Next phase, force Bloodmoon\n' +
+			'Left/Right, Enter : Preview, apply lighting';
+	};
 	
 })();